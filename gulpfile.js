@@ -26,7 +26,7 @@ var paths = {
         'src/angular-locker.js'
     ],
     test: [
-        'test/mock/storageMock.js',
+        'test/mock/*.js',
         'test/spec/**/*.js'
     ],
     versions: [
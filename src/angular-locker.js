@@ -59,6 +59,515 @@
             throw new Error('[angular-locker] ' + msg);
         };
 
+        /**
+         * The property used to tag values that are stored along with metadata
+         *
+         * @type {String}
+         */
+        var envelopeKey = '_locker';
+
+        /**
+         * The start of every stored envelope
+         *
+         * @type {String}
+         */
+        var envelopePrefix = '{"' + envelopeKey + '":';
+
+        /**
+         * Wrap a serialized value along with its metadata, values without
+         * metadata are stored as they are unless they could be mistaken for an envelope
+         *
+         * @param  {String}  value
+         * @param  {Object}  meta
+         * @return {String}
+         */
+        var _wrap = function (value, meta) {
+            if (! Object.keys(meta).length && ! (angular.isString(value) && value.indexOf(envelopePrefix) === 0)) return value;
+
+            var envelope = {};
+            envelope[envelopeKey] = meta;
+            envelope.value = value;
+
+            return JSON.stringify(envelope);
+        };
+
+        /**
+         * Split a stored value into the serialized value and its metadata
+         *
+         * @param  {String}  raw
+         * @return {Object}
+         */
+        var _unwrap = function (raw) {
+            if (angular.isString(raw) && raw.indexOf(envelopePrefix) === 0) {
+                try {
+                    var envelope = JSON.parse(raw);
+                    return { value: envelope.value, meta: envelope[envelopeKey] };
+                } catch (e) {}
+            }
+
+            return { value: raw, meta: {} };
+        };
+
+        /**
+         * Get the timestamp at which an item should expire, if any
+         *
+         * @param  {Object}  options
+         * @return {Number|undefined}
+         */
+        var _expiry = function (options) {
+            var expires;
+
+            if (angular.isDefined(options.expires)) {
+                expires = angular.isDate(options.expires) || angular.isString(options.expires) ? new Date(options.expires).getTime() : Number(options.expires);
+                if (! isFinite(expires)) _error('The expiry date "' + options.expires + '" is not valid.');
+
+                return expires;
+            }
+
+            if (angular.isDefined(options.ttl)) {
+                expires = Date.now() + (options.ttl * 1000);
+                if (! isFinite(expires)) _error('The ttl "' + options.ttl + '" is not valid.');
+
+                return expires;
+            }
+        };
+
+        /**
+         * The prefix of the keys locker uses internally
+         *
+         * @type {String}
+         */
+        var reservedPrefix = '__locker_';
+
+        /**
+         * The key under which the schema version of a namespace is recorded
+         *
+         * @type {String}
+         */
+        var versionKey = reservedPrefix + 'version';
+
+        /**
+         * The key under which the access times of a namespace are tracked
+         *
+         * @type {String}
+         */
+        var accessKey = reservedPrefix + 'access';
+
+        /**
+         * The key written (and removed straight away) when checking a driver is supported
+         *
+         * @type {String}
+         */
+        var supportKey = 'l';
+
+        /**
+         * Determine whether a key is used internally
+         *
+         * @param  {String}  key
+         * @return {Boolean}
+         */
+        var _isReserved = function (key) {
+            return String(key).indexOf(reservedPrefix) === 0;
+        };
+
+        /**
+         * Determine whether an error was thrown because the storage quota has been exceeded
+         *
+         * @param  {Error}  e
+         * @return {Boolean}
+         */
+        var _isQuotaExceeded = function (e) {
+            return ['QUOTA_EXCEEDED_ERR', 'NS_ERROR_DOM_QUOTA_REACHED', 'QuotaExceededError'].indexOf(e.name) !== -1;
+        };
+
+        /**
+         * Get the number of bytes a string takes up in storage, which holds strings as UTF-16
+         *
+         * @param  {String}  value
+         * @return {Number}
+         */
+        var _byteSize = function (value) {
+            return value === null || angular.isUndefined(value) ? 0 : String(value).length * 2;
+        };
+
+        /**
+         * Determine whether an item's metadata says it has expired
+         *
+         * @param  {Object}  meta
+         * @return {Boolean}
+         */
+        var _hasExpired = function (meta) {
+            return !! meta.expires && meta.expires <= Date.now();
+        };
+
+        /**
+         * Encode bytes as base64
+         *
+         * @param  {ArrayBuffer|Uint8Array}  buffer
+         * @return {String}
+         */
+        var _toBase64 = function (buffer) {
+            var bytes = new Uint8Array(buffer);
+            var binary = '';
+            for (var i = 0; i < bytes.length; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+
+            return window.btoa(binary);
+        };
+
+        /**
+         * Decode base64 into bytes
+         *
+         * @param  {String}  str
+         * @return {Uint8Array}
+         */
+        var _fromBase64 = function (str) {
+            var binary = window.atob(str);
+            var bytes = new Uint8Array(binary.length);
+            for (var i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+
+            return bytes;
+        };
+
+        /**
+         * Encode a string as utf-8 bytes
+         *
+         * @param  {String}  str
+         * @return {Uint8Array}
+         */
+        var _toBytes = function (str) {
+            var binary = encodeURIComponent(str).replace(/%([0-9A-F]{2})/g, function (match, hex) {
+                return String.fromCharCode(parseInt(hex, 16));
+            });
+            var bytes = new Uint8Array(binary.length);
+            for (var i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+
+            return bytes;
+        };
+
+        /**
+         * Decode utf-8 bytes into a string
+         *
+         * @param  {ArrayBuffer}  buffer
+         * @return {String}
+         */
+        var _fromBytes = function (buffer) {
+            var bytes = new Uint8Array(buffer);
+            var encoded = '';
+            for (var i = 0; i < bytes.length; i++) {
+                encoded += '%' + ('0' + bytes[i].toString(16)).slice(-2);
+            }
+
+            return decodeURIComponent(encoded);
+        };
+
+        /**
+         * Determine whether a stored value was encrypted with SJCL
+         *
+         * @param  {String}  value
+         * @return {Boolean}
+         */
+        var _isSjcl = function (value) {
+            if (! angular.isString(value) || value.charAt(0) !== '{') return false;
+
+            try {
+                var parsed = JSON.parse(value);
+                return ['ct', 'iv', 'cipher', 'mode'].every(function (property) {
+                    return angular.isDefined(parsed[property]);
+                });
+            } catch (e) {
+                return false;
+            }
+        };
+
+        /**
+         * The property used to tag values that plain json can't represent
+         *
+         * @type {String}
+         */
+        var typeKey = '__t';
+
+        /**
+         * Convert a value into something plain json can represent, tagging
+         * the values that would otherwise be lost
+         *
+         * @param  {Mixed}  value
+         * @return {Mixed}
+         */
+        var _encodeTyped = function (value) {
+            var tag = function (type, v) {
+                var tagged = {};
+                tagged[typeKey] = type;
+                if (arguments.length > 1) tagged.v = v;
+
+                return tagged;
+            };
+
+            if (angular.isUndefined(value)) return tag('undefined');
+            if (angular.isNumber(value) && ! isFinite(value)) return tag(String(value));
+            if (angular.isDate(value)) return tag('Date', _encodeTyped(value.getTime()));
+            if (value instanceof RegExp) {
+                var str = String(value);
+                return tag('RegExp', [value.source, str.slice(str.lastIndexOf('/') + 1)]);
+            }
+            if (typeof Map !== 'undefined' && value instanceof Map) {
+                var entries = [];
+                value.forEach(function (v, k) {
+                    entries.push([_encodeTyped(k), _encodeTyped(v)]);
+                });
+
+                return tag('Map', entries);
+            }
+            if (typeof Set !== 'undefined' && value instanceof Set) {
+                var values = [];
+                value.forEach(function (v) {
+                    values.push(_encodeTyped(v));
+                });
+
+                return tag('Set', values);
+            }
+            if (angular.isArray(value)) return value.map(_encodeTyped);
+            if (angular.isObject(value) && ! angular.isFunction(value)) {
+                var encoded = {};
+                angular.forEach(Object.keys(value), function (key) {
+                    encoded[key] = _encodeTyped(value[key]);
+                });
+
+                return encoded.hasOwnProperty(typeKey) ? tag('Object', encoded) : encoded;
+            }
+
+            return value;
+        };
+
+        /**
+         * Restore a value that was converted via _encodeTyped
+         *
+         * @param  {Mixed}  value
+         * @return {Mixed}
+         */
+        var _decodeTyped = function (value) {
+            var decodeObject = function (object) {
+                var decoded = {};
+                angular.forEach(Object.keys(object), function (key) {
+                    decoded[key] = _decodeTyped(object[key]);
+                });
+
+                return decoded;
+            };
+
+            if (angular.isArray(value)) return value.map(_decodeTyped);
+            if (! angular.isObject(value)) return value;
+
+            switch (value[typeKey]) {
+                case 'undefined':
+                    return void 0;
+                case 'NaN':
+                case 'Infinity':
+                case '-Infinity':
+                    return Number(value[typeKey]);
+                case 'Date':
+                    return new Date(_decodeTyped(value.v));
+                case 'RegExp':
+                    return new RegExp(value.v[0], value.v[1]);
+                case 'Map':
+                    var map = new Map();
+                    angular.forEach(value.v, function (entry) {
+                        map.set(_decodeTyped(entry[0]), _decodeTyped(entry[1]));
+                    });
+
+                    return map;
+                case 'Set':
+                    var set = new Set();
+                    angular.forEach(value.v, function (v) {
+                        set.add(_decodeTyped(v));
+                    });
+
+                    return set;
+                case 'Object':
+                    return decodeObject(value.v);
+                default:
+                    return decodeObject(value);
+            }
+        };
+
+        /**
+         * The built-in serializers
+         *
+         * @type {Object}
+         */
+        var serializers = {
+            json: {
+                serialize: function (value) {
+                    return angular.toJson(value);
+                },
+                unserialize: function (value) {
+                    return angular.fromJson(value);
+                }
+            },
+            typed: {
+                serialize: function (value) {
+                    return JSON.stringify(_encodeTyped(value));
+                },
+                unserialize: function (value) {
+                    return angular.isString(value) ? _decodeTyped(JSON.parse(value)) : value;
+                }
+            }
+        };
+
+        /**
+         * The serializer used to convert values to and from strings
+         *
+         * @type {Object}
+         */
+        var serializer = serializers.json;
+
+        /**
+         * Compress a string via LZW, packing the codes 15 bits to a character (offset
+         * past the control characters) so the result is safe to keep in UTF-16 storage.
+         * Codes 0 & 1 introduce an 8 or 16 bit character seen for the first time, 2 ends the value
+         *
+         * @param  {String}  value
+         * @return {String}
+         */
+        var _lzCompress = function (value) {
+            var dictionary = Object.create(null);
+            var pending = Object.create(null);
+            var size = 3;
+            var emitted = 0;
+            var literals = 0;
+            var output = [];
+            var buffer = 0;
+            var position = 0;
+
+            var write = function (number, bits) {
+                for (var i = 0; i < bits; i++) {
+                    buffer += (number % 2) * Math.pow(2, position);
+                    number = Math.floor(number / 2);
+                    if (++position === 15) {
+                        output.push(String.fromCharCode(buffer + 32));
+                        buffer = 0;
+                        position = 0;
+                    }
+                }
+            };
+
+            // the width the decompressor will read the next code with, based on the entries it knows about
+            var width = function () {
+                return (3 + literals + Math.max(0, emitted - 1)).toString(2).length;
+            };
+
+            var emit = function (phrase) {
+                if (pending[phrase]) {
+                    var code = phrase.charCodeAt(0);
+                    write(code < 256 ? 0 : 1, width());
+                    write(code, code < 256 ? 8 : 16);
+                    delete pending[phrase];
+                    literals++;
+                } else {
+                    write(dictionary[phrase], width());
+                }
+                emitted++;
+            };
+
+            var phrase = '';
+            for (var i = 0; i < value.length; i++) {
+                var character = value.charAt(i);
+                if (! (character in dictionary)) {
+                    dictionary[character] = size++;
+                    pending[character] = true;
+                }
+
+                if ((phrase + character) in dictionary) {
+                    phrase += character;
+                } else {
+                    emit(phrase);
+                    dictionary[phrase + character] = size++;
+                    phrase = character;
+                }
+            }
+
+            if (phrase) emit(phrase);
+            write(2, width());
+            if (position) output.push(String.fromCharCode(buffer + 32));
+
+            return output.join('');
+        };
+
+        /**
+         * Decompress a string compressed via _lzCompress
+         *
+         * @param  {String}  value
+         * @return {String}
+         */
+        var _lzDecompress = function (value) {
+            var dictionary = [];
+            var size = 3;
+            var index = 0;
+            var buffer = 0;
+            var position = 15;
+
+            var read = function (bits) {
+                var number = 0;
+                for (var i = 0; i < bits; i++) {
+                    if (position === 15) {
+                        if (index >= value.length) _error('The compressed value is corrupt');
+                        buffer = value.charCodeAt(index++) - 32;
+                        position = 0;
+                    }
+                    number += (buffer % 2) * Math.pow(2, i);
+                    buffer = Math.floor(buffer / 2);
+                    position++;
+                }
+
+                return number;
+            };
+
+            var result = [];
+            var phrase = null;
+            for (var code = read(2); code !== 2; code = read(size.toString(2).length)) {
+                var entry;
+                if (code < 2) {
+                    entry = String.fromCharCode(read(code ? 16 : 8));
+                    dictionary[size++] = entry;
+                } else if (code < size) {
+                    entry = dictionary[code];
+                } else if (code === size && phrase !== null) {
+                    entry = phrase + phrase.charAt(0);
+                } else {
+                    _error('The compressed value is corrupt');
+                }
+
+                if (phrase !== null) dictionary[size++] = phrase + entry.charAt(0);
+                result.push(entry);
+                phrase = entry;
+            }
+
+            return result.join('');
+        };
+
+        /**
+         * Decompress a value if its metadata says it was compressed
+         *
+         * @param  {String}  value
+         * @param  {Object}  meta
+         * @return {String}
+         */
+        var _decompress = function (value, meta) {
+            return meta.compressed === 'lz' ? _lzDecompress(value) : value;
+        };
+
+        /**
+         * The namespaces whose items are compressed by default
+         *
+         * @type {Object}
+         */
+        var compression = {};
+
         /**
          * Set the default driver and namespace
          *
@@ -68,160 +577,2974 @@
             driver: 'local',
             namespace: 'locker',
             eventsEnabled: true,
-            separator: '.'
+            separator: '.',
+            fallbackDriver: false,
+            encrypted: false
+        };
+
+        /**
+         * Normalize the options passed to put/add/get, while still accepting
+         * the legacy boolean encrypted flag, falling back to the default encryption
+         *
+         * @param  {Boolean|Object}  options
+         * @return {Object}
+         */
+        var _options = function (options) {
+            if (! angular.isObject(options)) {
+                options = angular.isDefined(options) ? { encrypted: !! options } : {};
+            }
+
+            return angular.extend({ encrypted: defaults.encrypted }, options);
+        };
+
+        /**
+         * Determine whether an argument that may also be a default value is actually
+         * the options, e.g. bind($scope, 'query', { debounce: 300 })
+         *
+         * @param  {Mixed}  value
+         * @param  {Array}  names  of the options that are accepted
+         * @return {Boolean}
+         */
+        var _isOptions = function (value, names) {
+            if (! angular.isObject(value) || angular.isArray(value)) return false;
+
+            var keys = Object.keys(value);
+
+            return keys.length > 0 && keys.every(function (key) {
+                return names.indexOf(key) !== -1;
+            });
+        };
+
+        /**
+         * The options accepted by bind()
+         *
+         * @type {Array}
+         */
+        var bindOptions = ['default', 'attr', 'debounce', 'deep', 'encrypted'];
+
+        /**
+         * The schemas that items are validated against, by namespace and key
+         *
+         * @type {Object}
+         */
+        var schemas = {};
+
+        /**
+         * Determine whether a value is of a JSON schema type
+         *
+         * @param  {Mixed}  value
+         * @param  {String}  type
+         * @return {Boolean}
+         */
+        var _isType = function (value, type) {
+            switch (type) {
+                case 'null':
+                    return value === null;
+                case 'array':
+                    return angular.isArray(value);
+                case 'object':
+                    return angular.isObject(value) && ! angular.isArray(value);
+                case 'integer':
+                    return angular.isNumber(value) && value % 1 === 0;
+                default:
+                    return typeof value === type;
+            }
+        };
+
+        /**
+         * Validate a value against a subset of JSON schema: type, enum, required, properties,
+         * items, minimum/maximum, minLength/maxLength & minItems/maxItems
+         *
+         * @param  {Object}  schema
+         * @param  {Mixed}  value
+         * @param  {String}  path  where the value sits within the item, for the error message
+         * @return {String|null}  what is wrong with the value, null when it's valid
+         */
+        var _validateSchema = function (schema, value, path) {
+            var i;
+            var error;
+            var types = [].concat(schema.type || []);
+
+            if (types.length && ! types.some(function (type) { return _isType(value, type); })) {
+                return path + ' must be of type ' + types.join(' or ');
+            }
+
+            if (schema.enum && ! schema.enum.some(function (option) { return angular.equals(option, value); })) {
+                return path + ' must be one of ' + JSON.stringify(schema.enum);
+            }
+
+            if (angular.isNumber(value)) {
+                if (angular.isDefined(schema.minimum) && value < schema.minimum) return path + ' must be at least ' + schema.minimum;
+                if (angular.isDefined(schema.maximum) && value > schema.maximum) return path + ' must be at most ' + schema.maximum;
+            }
+
+            if (angular.isString(value)) {
+                if (angular.isDefined(schema.minLength) && value.length < schema.minLength) return path + ' must be at least ' + schema.minLength + ' characters long';
+                if (angular.isDefined(schema.maxLength) && value.length > schema.maxLength) return path + ' must be at most ' + schema.maxLength + ' characters long';
+            }
+
+            if (angular.isArray(value)) {
+                if (angular.isDefined(schema.minItems) && value.length < schema.minItems) return path + ' must have at least ' + schema.minItems + ' items';
+                if (angular.isDefined(schema.maxItems) && value.length > schema.maxItems) return path + ' must have at most ' + schema.maxItems + ' items';
+
+                for (i = 0; schema.items && i < value.length; i++) {
+                    error = _validateSchema(schema.items, value[i], path + '[' + i + ']');
+                    if (error) return error;
+                }
+            } else if (angular.isObject(value)) {
+                var required = schema.required || [];
+                for (i = 0; i < required.length; i++) {
+                    if (angular.isUndefined(value[required[i]])) return path + '.' + required[i] + ' is required';
+                }
+
+                var properties = Object.keys(schema.properties || {});
+                for (i = 0; i < properties.length; i++) {
+                    if (! value.hasOwnProperty(properties[i])) continue;
+
+                    error = _validateSchema(schema.properties[properties[i]], value[properties[i]], path + '.' + properties[i]);
+                    if (error) return error;
+                }
+            }
+
+            return null;
+        };
+
+        /**
+         * Determine whether get() or forget() were given a pattern to match keys against rather than
+         * the keys themselves, i.e. a RegExp or a glob such as { glob: 'cart.*' }. Strings are
+         * always taken literally, as keys may well contain `*`
+         *
+         * @param  {Mixed}  key
+         * @return {Boolean}
+         */
+        var _isQuery = function (key) {
+            return key instanceof RegExp || (angular.isObject(key) && angular.isString(key.glob));
+        };
+
+        /**
+         * Get a RegExp matching the keys a glob describes, where `*` matches any characters
+         *
+         * @param  {String}  glob
+         * @return {RegExp}
+         */
+        var _glob = function (glob) {
+            return new RegExp('^' + glob.split('*').map(function (part) {
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }).join('.*') + '$');
+        };
+
+        /**
+         * Get a RegExp to match keys against when given a pattern, either a RegExp
+         * or a glob where `*` matches any characters. null when given a plain key
+         *
+         * @param  {Mixed}  key
+         * @return {RegExp|null}
+         */
+        var _pattern = function (key) {
+            if (key instanceof RegExp) return key;
+            if (angular.isObject(key) && angular.isString(key.glob)) return _glob(key.glob);
+            if (! angular.isString(key) || key.indexOf('*') === -1) return null;
+
+            return _glob(key);
         };
 
-        var cryptoKey = null;
+        /**
+         * The events that can be listened to via on(), by type
+         *
+         * @type {Object}
+         */
+        var eventTypes = {
+            added: 'locker.item.added',
+            updated: 'locker.item.updated',
+            forgotten: 'locker.item.forgotten',
+            expired: 'locker.item.expired',
+            evicted: 'locker.item.evicted',
+            committed: 'locker.batch.committed',
+            cleaned: 'locker.namespace.cleaned',
+            emptied: 'locker.driver.emptied'
+        };
+
+        /**
+         * Get the keys of the items an event payload is about
+         *
+         * @param  {Object}  payload
+         * @return {Array}
+         */
+        var _payloadKeys = function (payload) {
+            if (angular.isDefined(payload.key)) return [payload.key];
+            if (payload.keys) return payload.keys;
+
+            return Object.keys(payload.put || {}).concat(payload.forgotten || []);
+        };
+
+        var cryptoKey = null;
+
+        /**
+         * Create a non-persistent driver that holds items in memory
+         *
+         * @return {Object}
+         */
+        var _memoryStorage = function () {
+            var items = {};
+
+            return {
+                getItem: function (key) {
+                    return items.hasOwnProperty(key) ? items[key] : null;
+                },
+                setItem: function (key, value) {
+                    items[key] = String(value);
+                },
+                removeItem: function (key) {
+                    delete items[key];
+                },
+                clear: function () {
+                    items = {};
+                },
+                key: function (index) {
+                    var keys = Object.keys(items);
+                    return index < keys.length ? keys[index] : null;
+                },
+                get length () {
+                    return Object.keys(items).length;
+                }
+            };
+        };
+
+        /**
+         * The options used when writing cookies via the cookie driver
+         *
+         * @type {Object}
+         */
+        var cookieOptions = {
+            path: '/',
+            domain: null,
+            secure: false,
+            sameSite: 'Lax',
+            maxAge: null,
+            maxSize: 4000
+        };
+
+        /**
+         * Create a driver that stores items as cookies, splitting values that
+         * exceed the per-cookie size limit into several chunks
+         *
+         * @param  {Function}  getDocument
+         * @return {Object}
+         */
+        var _cookieStorage = function (getDocument) {
+            var chunkMarker = '__locker_chunks__:';
+            var chunkSuffix = '__chunk';
+
+            var read = function () {
+                var cookies = {};
+                var doc = getDocument();
+                if (! doc || ! doc.cookie) return cookies;
+
+                angular.forEach(doc.cookie.split(/;\s*/), function (pair) {
+                    var index = pair.indexOf('=');
+                    if (index === -1) return;
+
+                    try {
+                        cookies[decodeURIComponent(pair.slice(0, index))] = decodeURIComponent(pair.slice(index + 1));
+                    } catch (e) {}
+                });
+
+                return cookies;
+            };
+
+            var write = function (name, value, maxAge) {
+                var cookie = encodeURIComponent(name) + '=' + encodeURIComponent(value);
+
+                if (cookieOptions.path) cookie += '; path=' + cookieOptions.path;
+                if (cookieOptions.domain) cookie += '; domain=' + cookieOptions.domain;
+                if (maxAge !== null) {
+                    cookie += '; max-age=' + maxAge + '; expires=' + new Date(Date.now() + (maxAge * 1000)).toUTCString();
+                }
+                if (cookieOptions.sameSite) cookie += '; samesite=' + cookieOptions.sameSite;
+                if (cookieOptions.secure) cookie += '; secure';
+
+                getDocument().cookie = cookie;
+            };
+
+            var chunks = function (name, value) {
+                var size = cookieOptions.maxSize - encodeURIComponent(name + chunkSuffix).length - 4;
+                var parts = [''];
+                var length = 0;
+
+                angular.forEach(value.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [], function (character) {
+                    var encoded = encodeURIComponent(character).length;
+                    if (length + encoded > size) {
+                        parts.push('');
+                        length = 0;
+                    }
+                    parts[parts.length - 1] += character;
+                    length += encoded;
+                });
+
+                return parts;
+            };
+
+            var isChunk = function (name) {
+                return new RegExp(chunkSuffix + '\\d+$').test(name);
+            };
+
+            var keys = function () {
+                return Object.keys(read()).filter(function (name) {
+                    return ! isChunk(name);
+                });
+            };
+
+            var storage = {
+                getItem: function (key) {
+                    var cookies = read();
+                    if (! cookies.hasOwnProperty(key)) return null;
+
+                    var value = cookies[key];
+                    if (value.indexOf(chunkMarker) !== 0) return value;
+
+                    var count = parseInt(value.slice(chunkMarker.length), 10);
+                    var parts = [];
+                    for (var i = 0; i < count; i++) {
+                        if (! cookies.hasOwnProperty(key + chunkSuffix + i)) return null;
+                        parts.push(cookies[key + chunkSuffix + i]);
+                    }
+
+                    return parts.join('');
+                },
+                setItem: function (key, value) {
+                    value = String(value);
+                    storage.removeItem(key);
+
+                    if (encodeURIComponent(key).length + encodeURIComponent(value).length <= cookieOptions.maxSize) {
+                        return write(key, value, cookieOptions.maxAge);
+                    }
+
+                    var parts = chunks(key, value);
+                    angular.forEach(parts, function (part, i) {
+                        write(key + chunkSuffix + i, part, cookieOptions.maxAge);
+                    });
+                    write(key, chunkMarker + parts.length, cookieOptions.maxAge);
+                },
+                removeItem: function (key) {
+                    var value = read()[key];
+                    if (angular.isUndefined(value)) return;
+
+                    if (value.indexOf(chunkMarker) === 0) {
+                        var count = parseInt(value.slice(chunkMarker.length), 10);
+                        for (var i = 0; i < count; i++) {
+                            write(key + chunkSuffix + i, '', 0);
+                        }
+                    }
+                    write(key, '', 0);
+                },
+                clear: function () {
+                    angular.forEach(keys(), storage.removeItem);
+                },
+                key: function (index) {
+                    var names = keys();
+                    return index < names.length ? names[index] : null;
+                },
+                get length () {
+                    return keys().length;
+                }
+            };
+
+            return storage;
+        };
+
+        /**
+         * The schema version of the stored data, null when not versioned
+         *
+         * @type {Number|null}
+         */
+        var version = null;
+
+        /**
+         * The migrations to run, by the version they migrate from
+         *
+         * @type {Object}
+         */
+        var migrations = {};
+
+        /**
+         * The namespaces to migrate besides the default one and those already versioned
+         *
+         * @type {Array}
+         */
+        var migrationNamespaces = [];
+
+        /**
+         * The eviction policies, by namespace
+         *
+         * @type {Object}
+         */
+        var evictionPolicies = {};
+
+        /**
+         * The custom drivers registered via `lockerProvider`
+         *
+         * @type {Object}
+         */
+        var drivers = {};
+
+        /**
+         * The interceptors, as the names of services or injectable factories
+         *
+         * @type {Array}
+         */
+        var interceptors = [];
+
+        /**
+         * Ensure that a driver implements the Storage interface
+         *
+         * @param  {String}  name
+         * @param  {Object}  driver
+         * @return {Object}
+         */
+        var _validateDriver = function (name, driver) {
+            var valid = angular.isObject(driver) && ['getItem', 'setItem', 'removeItem', 'clear'].every(function (method) {
+                return angular.isFunction(driver[method]);
+            });
+
+            if (! valid) _error('The driver "' + name + '" does not implement the Storage interface.');
+
+            return driver;
+        };
+
+        return {
+             /**
+             * Allow setting of default storage driver via `lockerProvider`
+             * e.g. lockerProvider.setDefaultDriver('session');
+             *
+             * @param {String}  driver
+             */
+            setDefaultDriver: function (driver) {
+                defaults.driver = _value(driver);
+
+                return this;
+            },
+
+            /**
+             * Get the default driver
+             */
+            getDefaultDriver: function () {
+                return defaults.driver;
+            },
+
+            /**
+             * Allow setting of default namespace via `lockerProvider`
+             * e.g. lockerProvider.setDefaultNamespace('myAppName');
+             *
+             * @param {String}  namespace
+             */
+            setDefaultNamespace: function (namespace) {
+                defaults.namespace = _value(namespace);
+
+                return this;
+            },
+
+            /**
+             * Get the default namespace
+             */
+            getDefaultNamespace: function () {
+                return defaults.namespace;
+            },
+
+            /**
+             * Set whether the events are enabled
+             *
+             * @param {Boolean}  enabled
+             */
+            setEventsEnabled: function (enabled) {
+                defaults.eventsEnabled = _value(enabled);
+
+                return this;
+            },
+
+            /**
+             * Get whether the events are enabled
+             */
+            getEventsEnabled: function () {
+                return defaults.eventsEnabled;
+            },
+
+            /**
+             * Set whether items are encrypted by default
+             * e.g. lockerProvider.setDefaultEncryption(true);
+             *
+             * @param {Boolean}  encrypted
+             */
+            setDefaultEncryption: function (encrypted) {
+                defaults.encrypted = !! _value(encrypted);
+
+                return this;
+            },
+
+            /**
+             * Get whether items are encrypted by default
+             */
+            getDefaultEncryption: function () {
+                return defaults.encrypted;
+            },
+
+            /**
+             * Set the separator to use with namespace in keys
+             *
+             * @param {String} separator
+             */
+            setSeparator: function (separator) {
+                defaults.separator = _value(separator);
+
+                return this;
+            },
+
+            /**
+             * Get the separator
+             */
+            getSeparator: function () {
+                return defaults.separator;
+            },
+
+            /**
+             * Set the driver to fall back to when the chosen driver is not supported
+             * e.g. lockerProvider.setFallbackDriver('memory');
+             *
+             * @param {String|Boolean}  driver
+             */
+            setFallbackDriver: function (driver) {
+                defaults.fallbackDriver = _value(driver);
+
+                return this;
+            },
+
+            /**
+             * Get the fallback driver
+             */
+            getFallbackDriver: function () {
+                return defaults.fallbackDriver;
+            },
+
+            /**
+             * Set the schema version of the stored data
+             * e.g. lockerProvider.setVersion(2);
+             *
+             * @param {Number}  value
+             */
+            setVersion: function (value) {
+                value = _value(value);
+                if (! angular.isNumber(value) || value < 0 || value % 1 !== 0) _error('The version must be a positive integer.');
+
+                version = value;
+
+                return this;
+            },
+
+            /**
+             * Get the schema version of the stored data
+             */
+            getVersion: function () {
+                return version;
+            },
+
+            /**
+             * Add a migration that updates the data within a namespace from the given version
+             * to the next one, the function receives the Locker instance for the namespace
+             * e.g. lockerProvider.addMigration(1, function (locker) { ... });
+             *
+             * @param {Number}  fromVersion
+             * @param {Function}  fn
+             */
+            addMigration: function (fromVersion, fn) {
+                if (! angular.isFunction(fn)) _error('A migration must be a function.');
+
+                (migrations[fromVersion] = migrations[fromVersion] || []).push(fn);
+
+                return this;
+            },
+
+            /**
+             * Set the namespaces to migrate besides the default one, as the data written
+             * before a version was set isn't otherwise known to belong to locker
+             * e.g. lockerProvider.setMigrationNamespaces(['settings', 'cart']);
+             *
+             * @param {Array}  namespaces
+             */
+            setMigrationNamespaces: function (namespaces) {
+                migrationNamespaces = _value(namespaces);
+
+                return this;
+            },
+
+            /**
+             * Get the namespaces to migrate besides the default one
+             */
+            getMigrationNamespaces: function () {
+                return migrationNamespaces;
+            },
+
+            /**
+             * Set the policy used to evict items from a namespace when the storage quota is exceeded
+             * e.g. lockerProvider.setEvictionPolicy('cache', { policy: 'lru', pinned: ['token'] });
+             *
+             * @param {String}  namespace
+             * @param {String|Object|Boolean}  policy  false to remove the policy
+             */
+            setEvictionPolicy: function (namespace, policy) {
+                policy = _value(policy);
+                if (! policy) {
+                    delete evictionPolicies[namespace];
+
+                    return this;
+                }
+
+                if (angular.isString(policy)) policy = { policy: policy };
+                if (policy.policy !== 'lru') _error('The eviction policy "' + policy.policy + '" is not supported.');
+
+                evictionPolicies[namespace] = angular.extend({ pinned: [] }, policy);
+
+                return this;
+            },
+
+            /**
+             * Get the policy used to evict items from a namespace
+             *
+             * @param {String}  namespace
+             */
+            getEvictionPolicy: function (namespace) {
+                return evictionPolicies[namespace] || null;
+            },
+
+            /**
+             * Set whether the items within a namespace are compressed by default
+             * e.g. lockerProvider.setCompression('cache', true);
+             *
+             * @param {String}  namespace
+             * @param {Boolean}  value
+             */
+            setCompression: function (namespace, value) {
+                compression[namespace] = !! _value(value);
+
+                return this;
+            },
+
+            /**
+             * Get whether the items within a namespace are compressed by default
+             *
+             * @param {String}  namespace
+             */
+            getCompression: function (namespace) {
+                return !! compression[namespace];
+            },
+
+            /**
+             * Define the schema the item with the given key, within the given namespace, must match
+             * e.g. lockerProvider.defineSchema('locker', 'user', { type: 'object', required: ['name'] });
+             *
+             * @param {String}  namespace
+             * @param {String}  key
+             * @param {Object}  schema
+             */
+            defineSchema: function (namespace, key, schema) {
+                schema = _value(schema);
+                if (! angular.isObject(schema) || angular.isArray(schema)) _error('The schema for "' + key + '" must be an object.');
+
+                schemas[namespace] = schemas[namespace] || {};
+                schemas[namespace][key] = schema;
+
+                return this;
+            },
+
+            /**
+             * Get the schema defined for the item with the given key, within the given namespace
+             *
+             * @param {String}  namespace
+             * @param {String}  key
+             */
+            getSchema: function (namespace, key) {
+                return schemas[namespace] && schemas[namespace].hasOwnProperty(key) ? schemas[namespace][key] : null;
+            },
+
+            /**
+             * Set the serializer, either the name of a built-in serializer ('json' or 'typed')
+             * or an object with serialize and unserialize functions
+             * e.g. lockerProvider.setSerializer('typed');
+             *
+             * @param {String|Object}  value
+             */
+            setSerializer: function (value) {
+                value = _value(value);
+                if (angular.isString(value)) {
+                    if (! serializers.hasOwnProperty(value)) _error('The serializer "' + value + '" was not found.');
+                    value = serializers[value];
+                }
+
+                if (! angular.isObject(value) || ! angular.isFunction(value.serialize) || ! angular.isFunction(value.unserialize)) {
+                    _error('A serializer must have serialize and unserialize functions.');
+                }
+
+                serializer = value;
+
+                return this;
+            },
+
+            /**
+             * Get the serializer
+             */
+            getSerializer: function () {
+                return serializer;
+            },
+
+            /**
+             * Set the options used by the cookie driver
+             * e.g. lockerProvider.setCookieOptions({ path: '/app', secure: true, maxAge: 86400 });
+             *
+             * @param {Object}  options  path, domain, secure, sameSite, maxAge & maxSize
+             */
+            setCookieOptions: function (options) {
+                angular.extend(cookieOptions, _value(options));
+
+                return this;
+            },
+
+            /**
+             * Get the options used by the cookie driver
+             */
+            getCookieOptions: function () {
+                return cookieOptions;
+            },
+
+            /**
+             * Register a custom storage driver, either as an object implementing
+             * the Storage interface or as an injectable factory that returns one
+             * e.g. lockerProvider.registerDriver('custom', ['$window', function ($window) { ... }]);
+             *
+             * @param {String}  name
+             * @param {Object|Function|Array}  driver
+             */
+            registerDriver: function (name, driver) {
+                if (! angular.isString(name) || ! name.length) _error('A driver must be registered with a name.');
+
+                drivers[name] = angular.isFunction(driver) || angular.isArray(driver) ? driver : _validateDriver(name, driver);
+
+                return this;
+            },
+
+            /**
+             * The interceptors to run items through, in the same vein as `$httpProvider.interceptors`.
+             * Each may implement beforePut, afterGet, beforeForget & onError
+             * e.g. lockerProvider.interceptors.push('auditInterceptor');
+             *
+             * @type {Array}
+             */
+            interceptors: interceptors,
+
+            /**
+             * The locker service
+             */
+            $get: ['$window', '$rootScope', '$parse', '$injector', '$q', '$timeout', function ($window, $rootScope, $parse, $injector, $q, $timeout) {
+
+                /**
+                 * Get a Storage instance from the window, accessing it can throw
+                 * e.g. in sandboxed iframes
+                 *
+                 * @param  {String}  name
+                 * @return {Storage|null}
+                 */
+                var _storage = function (name) {
+                    try {
+                        return $window[name];
+                    } catch (e) {
+                        return null;
+                    }
+                };
+
+                /**
+                 * The drivers available to every Locker instance
+                 *
+                 * @type {Object}
+                 */
+                var registeredDrivers = {
+                    local: _storage('localStorage'),
+                    session: _storage('sessionStorage'),
+                    memory: _memoryStorage(),
+                    cookie: _cookieStorage(function () {
+                        return $window.document;
+                    })
+                };
+
+                /**
+                 * The drivers that have already reported falling back
+                 *
+                 * @type {Object}
+                 */
+                var fallbacks = {};
+
+                /**
+                 * When the items were last accessed, by driver and namespace then key
+                 *
+                 * @type {Object}
+                 */
+                var accessTimes = {};
+
+                /**
+                 * Whether each driver is supported, once checked
+                 *
+                 * @type {Object}
+                 */
+                var supported = {};
+
+                /**
+                 * The promises of the factories being resolved via remember(), by driver and key
+                 *
+                 * @type {Object}
+                 */
+                var remembering = {};
+
+                angular.forEach(drivers, function (driver, name) {
+                    registeredDrivers[name] = angular.isObject(driver) && ! angular.isArray(driver) ? driver : _validateDriver(name, $injector.invoke(driver));
+                });
+
+                /**
+                 * The interceptors, resolved via the injector
+                 *
+                 * @type {Array}
+                 */
+                var resolvedInterceptors = interceptors.map(function (interceptor) {
+                    return angular.isString(interceptor) ? $injector.get(interceptor) : $injector.invoke(interceptor);
+                });
+
+                /**
+                 * The name of the IndexedDB database and object store
+                 *
+                 * @type {String}
+                 */
+                var databaseName = 'angular-locker';
+
+                /**
+                 * @type {Promise}
+                 */
+                var database = null;
+
+                /**
+                 * Reject with an error
+                 *
+                 * @param  {String}  msg
+                 * @return {Promise}
+                 */
+                var _reject = function (msg) {
+                    return $q.reject(new Error('[angular-locker] ' + msg));
+                };
+
+                /**
+                 * Open the IndexedDB database, creating the object store if needed
+                 *
+                 * @return {Promise}
+                 */
+                var _database = function () {
+                    if (database) return database;
+                    if (! $window.indexedDB) return _reject('The browser does not support indexedDB');
+
+                    var deferred = $q.defer();
+                    var request = $window.indexedDB.open(databaseName, 1);
+
+                    request.onupgradeneeded = function () {
+                        request.result.createObjectStore(databaseName);
+                    };
+                    request.onsuccess = function () {
+                        deferred.resolve(request.result);
+                    };
+                    request.onerror = function () {
+                        database = null;
+                        deferred.reject(request.error);
+                    };
+
+                    return (database = deferred.promise);
+                };
+
+                /**
+                 * Run the callback within a transaction on the object store
+                 *
+                 * @param  {String}  mode
+                 * @param  {Function}  callback  receives the object store
+                 * @return {Promise}  resolved once the transaction completes
+                 */
+                var _transaction = function (mode, callback) {
+                    return _database().then(function (db) {
+                        var deferred = $q.defer();
+                        var transaction = db.transaction(databaseName, mode);
+
+                        callback(transaction.objectStore(databaseName));
+
+                        transaction.oncomplete = function () {
+                            deferred.resolve();
+                        };
+                        transaction.onerror = transaction.onabort = function () {
+                            deferred.reject(transaction.error);
+                        };
+
+                        return deferred.promise;
+                    });
+                };
+
+                /**
+                 * Define the AsyncLocker class, which mirrors the Locker api
+                 * with promises, storing items in IndexedDB
+                 *
+                 * @param {Locker}  locker  the instance to take the namespace and settings from
+                 */
+                function AsyncLocker (locker) {
+
+                    /**
+                     * @type {Locker}
+                     */
+                    this._locker = locker;
+
+                    /**
+                     * Trigger an event
+                     *
+                     * @param  {String} name
+                     * @param  {Object} payload
+                     * @return {void}
+                     */
+                    this._event = function (name, payload) {
+                        if (! this._locker._eventsEnabled) return;
+
+                        $rootScope.$emit(name, angular.extend(payload, {
+                            driver: 'indexeddb',
+                            namespace: this._locker._namespace
+                        }));
+                    };
+
+                    /**
+                     * Get the key without the namespace
+                     *
+                     * @param  {String}  key
+                     * @return {String}
+                     */
+                    this._stripPrefix = function (key) {
+                        return this._locker._namespace ? key.slice(this._locker._getPrefix('').length) : key;
+                    };
+
+                    /**
+                     * Read the unexpired items with the given keys, or every item within the namespace
+                     *
+                     * @param  {Array}  keys
+                     * @return {Promise}  resolves with an object of key/item pairs
+                     */
+                    this._read = function (keys) {
+                        var self = this;
+                        var items = {};
+
+                        return _transaction('readonly', function (store) {
+                            if (keys) {
+                                angular.forEach(keys, function (key) {
+                                    store.get(self._locker._getPrefix(key)).onsuccess = function (e) {
+                                        if (angular.isDefined(e.target.result)) items[key] = _unwrap(e.target.result);
+                                    };
+                                });
+
+                                return;
+                            }
+
+                            var prefix = self._locker._getPrefix('');
+                            var range = self._locker._namespace ? $window.IDBKeyRange.bound(prefix, prefix + '\uffff') : null;
+
+                            store.openCursor(range).onsuccess = function (e) {
+                                var cursor = e.target.result;
+                                if (! cursor) return;
+
+                                items[self._stripPrefix(cursor.key)] = _unwrap(cursor.value);
+                                cursor.continue();
+                            };
+                        }).then(function () {
+                            var expired = Object.keys(items).filter(function (key) {
+                                return _hasExpired(items[key].meta);
+                            });
+
+                            angular.forEach(expired, function (key) {
+                                delete items[key];
+                            });
+
+                            return expired.length ? self._remove(expired, 'locker.item.expired').then(function () {
+                                return items;
+                            }) : items;
+                        });
+                    };
+
+                    /**
+                     * Unpack the items read, going through the interceptors as the synchronous get does
+                     *
+                     * @param  {Object}  items  of key/item pairs
+                     * @return {Object}  of key/value pairs
+                     */
+                    this._values = function (items) {
+                        var locker = this._locker;
+                        var values = {};
+
+                        angular.forEach(items, function (item, key) {
+                            var value = locker._attempt('get', { key: key, driver: 'indexeddb' }, function () {
+                                return this._unpack(item);
+                            });
+                            var context = locker._intercept('afterGet', { key: key, value: value, driver: 'indexeddb' });
+
+                            values[key] = context ? context.value : void 0;
+                        });
+
+                        return values;
+                    };
+
+                    /**
+                     * Forget the items read, unless the interceptors veto it
+                     *
+                     * @param  {Object}  items  of key/item pairs
+                     * @return {Promise}
+                     */
+                    this._forget = function (items) {
+                        var locker = this._locker;
+                        var keys = [];
+
+                        angular.forEach(items, function (item, key) {
+                            var value;
+                            if (resolvedInterceptors.length) {
+                                try {
+                                    value = locker._unpack(item);
+                                } catch (e) {}
+                            }
+
+                            var context = locker._intercept('beforeForget', { key: key, value: value, driver: 'indexeddb' });
+                            if (context) keys.push(context.key);
+                        });
+
+                        return this._remove(keys, 'locker.item.forgotten');
+                    };
+
+                    /**
+                     * Remove the items with the given keys
+                     *
+                     * @param  {Array}  keys
+                     * @param  {String}  name  the event to trigger for each item
+                     * @return {Promise}
+                     */
+                    this._remove = function (keys, name) {
+                        var self = this;
+
+                        return _transaction('readwrite', function (store) {
+                            angular.forEach(keys, function (key) {
+                                store.delete(self._locker._getPrefix(key));
+                            });
+                        }).then(function () {
+                            angular.forEach(keys, function (key) {
+                                self._event(name, { key: key });
+                            });
+                        });
+                    };
+                }
+
+                /**
+                 * Define the public api
+                 *
+                 * @type {Object}
+                 */
+                AsyncLocker.prototype = {
+
+                    /**
+                     * Add a new item to storage (even if it already exists)
+                     *
+                     * @param  {Mixed}  key
+                     * @param  {Mixed}  value
+                     * @param  {Boolean|Object}  options
+                     * @return {Promise}  resolves with self
+                     */
+                    put: function (key, value, options) {
+                        var self = this;
+                        var items = {};
+
+                        key = _value(key);
+                        options = _options(options);
+
+                        if (angular.isObject(key)) {
+                            items = key;
+                        } else {
+                            if (! key || ! angular.isDefined(value)) return $q.when(false);
+                            items[key] = value;
+                        }
+
+                        return this._read(Object.keys(items)).then(function (current) {
+                            angular.forEach(current, function (item, key) {
+                                try {
+                                    current[key] = self._locker._unpack(item);
+                                } catch (e) {
+                                    // the old value may not be readable, e.g. when encrypted with another key
+                                    current[key] = void 0;
+                                }
+                            });
+
+                            if (! angular.isObject(key)) items[key] = _value(value, current[key]);
+
+                            // go through the interceptors & schema as the synchronous put does
+                            var packed = {};
+                            try {
+                                angular.forEach(items, function (value, key) {
+                                    var context = self._locker._intercept('beforePut', { key: key, value: value, options: angular.extend({}, options), driver: 'indexeddb' });
+                                    if (! context) return;
+
+                                    self._locker._attempt('put', context, function () {
+                                        var invalid = this._invalid(context.key, context.value);
+                                        if (invalid) _error('Could not add item with key "' + context.key + '", ' + invalid);
+
+                                        packed[context.key] = { value: context.value, raw: this._pack(context.value, context.options) };
+                                    });
+                                });
+                            } catch (e) {
+                                return $q.reject(e);
+                            }
+
+                            return _transaction('readwrite', function (store) {
+                                angular.forEach(packed, function (item, key) {
+                                    store.put(item.raw, self._locker._getPrefix(key));
+                                });
+                            }).then(function () {
+                                angular.forEach(packed, function (item, key) {
+                                    var value = item.value;
+                                    if (! current.hasOwnProperty(key)) {
+                                        self._event('locker.item.added', { key: key, value: value });
+                                    } else if (! angular.equals(current[key], value)) {
+                                        self._event('locker.item.updated', { key: key, oldValue: current[key], newValue: value });
+                                    }
+                                });
+
+                                return self;
+                            });
+                        });
+                    },
+
+                    /**
+                     * Add an item to storage if it doesn't already exist
+                     *
+                     * @param  {Mixed}  key
+                     * @param  {Mixed}  value
+                     * @param  {Boolean|Object}  options
+                     * @return {Promise}  resolves with whether the item was added
+                     */
+                    add: function (key, value, options) {
+                        var self = this;
+
+                        return this.has(key).then(function (exists) {
+                            return exists ? false : self.put(key, value, options).then(function () {
+                                return true;
+                            });
+                        });
+                    },
+
+                    /**
+                     * Retrieve the specified item(s) from storage
+                     *
+                     * @param  {String|Array}  key
+                     * @param  {Mixed}  def
+                     * @return {Promise}
+                     */
+                    get: function (key, def) {
+                        var self = this;
+                        var hasDefault = arguments.length > 1;
+
+                        return this._read(angular.isArray(key) ? key : [key]).then(function (items) {
+                            if (angular.isArray(key)) return self._values(items);
+
+                            if (! items.hasOwnProperty(key)) return hasDefault ? def : void 0;
+
+                            return self._values(items)[key];
+                        });
+                    },
+
+                    /**
+                     * Determine whether the item exists in storage
+                     *
+                     * @param  {String|Function}  key
+                     * @return {Promise}
+                     */
+                    has: function (key) {
+                        key = _value(key);
+
+                        return this._read([key]).then(function (items) {
+                            return items.hasOwnProperty(key);
+                        });
+                    },
+
+                    /**
+                     * Remove specified item(s) from storage
+                     *
+                     * @param  {Mixed}  key
+                     * @return {Promise}  resolves with self
+                     */
+                    forget: function (key) {
+                        var self = this;
+                        key = _value(key);
+
+                        return this._read(angular.isArray(key) ? key : [key]).then(function (items) {
+                            return self._forget(items);
+                        }).then(function () {
+                            return self;
+                        });
+                    },
+
+                    /**
+                     * Retrieve the specified item from storage and then remove it
+                     *
+                     * @param  {String|Array}  key
+                     * @param  {Mixed}  def
+                     * @return {Promise}
+                     */
+                    pull: function (key, def) {
+                        var self = this;
+
+                        return this.get.apply(this, arguments).then(function (value) {
+                            return self.forget(key).then(function () {
+                                return value;
+                            });
+                        });
+                    },
+
+                    /**
+                     * Return all items in storage within the current namespace
+                     *
+                     * @return {Promise}
+                     */
+                    all: function () {
+                        var self = this;
+
+                        return this._read().then(function (items) {
+                            return self._values(items);
+                        });
+                    },
+
+                    /**
+                     * Remove all items set within the current namespace
+                     *
+                     * @return {Promise}  resolves with self
+                     */
+                    clean: function () {
+                        var self = this;
+
+                        return this._read().then(function (items) {
+                            return self._forget(items);
+                        }).then(function () {
+                            return self;
+                        });
+                    },
+
+                    /**
+                     * Get the total number of items within the current namespace
+                     *
+                     * @return {Promise}
+                     */
+                    count: function () {
+                        return this._read().then(function (items) {
+                            return Object.keys(items).length;
+                        });
+                    },
+
+                    /**
+                     * Check browser support
+                     *
+                     * @return {Boolean}
+                     */
+                    supported: function () {
+                        return !! $window.indexedDB;
+                    }
+                };
+
+                /**
+                 * The number of PBKDF2 iterations used to derive the WebCrypto key
+                 *
+                 * @type {Number}
+                 */
+                var iterations = 100000;
+
+                /**
+                 * The keys derived from the crypto key when decrypting, by salt, oldest first
+                 *
+                 * @type {Object}
+                 */
+                var derivedKeys = {};
+
+                /**
+                 * The most keys to hold on to, each item encrypted via WebCrypto has its own salt
+                 *
+                 * @type {Number}
+                 */
+                var derivedKeysLimit = 20;
+
+                /**
+                 * Get the WebCrypto implementation, if available
+                 *
+                 * @return {SubtleCrypto|undefined}
+                 */
+                var _subtle = function () {
+                    return $window.crypto && $window.crypto.subtle;
+                };
+
+                /**
+                 * Derive an AES-GCM key from the crypto key via PBKDF2
+                 *
+                 * @param  {String}  password
+                 * @param  {String}  salt  base64 encoded
+                 * @return {Promise}
+                 */
+                var _deriveKey = function (password, salt) {
+                    var subtle = _subtle();
+
+                    return $q.when(subtle.importKey('raw', _toBytes(password), { name: 'PBKDF2' }, false, ['deriveKey'])).then(function (baseKey) {
+                        return subtle.deriveKey(
+                            { name: 'PBKDF2', salt: _fromBase64(salt), iterations: iterations, hash: 'SHA-256' },
+                            baseKey,
+                            { name: 'AES-GCM', length: 256 },
+                            false,
+                            ['encrypt', 'decrypt']
+                        );
+                    });
+                };
+
+                /**
+                 * Derive the key to decrypt an item with, holding on to the most recent ones
+                 * as the same items tend to be read repeatedly
+                 *
+                 * @param  {String}  password
+                 * @param  {String}  salt  base64 encoded
+                 * @return {Promise}
+                 */
+                var _decryptionKey = function (password, salt) {
+                    var id = salt + ':' + password;
+                    if (derivedKeys.hasOwnProperty(id)) return derivedKeys[id];
+
+                    var ids = Object.keys(derivedKeys);
+                    if (ids.length >= derivedKeysLimit) delete derivedKeys[ids[0]];
+
+                    var key = derivedKeys[id] = _deriveKey(password, salt);
+                    key.catch(function () {
+                        if (derivedKeys[id] === key) delete derivedKeys[id];
+                    });
+
+                    return key;
+                };
+
+                /**
+                 * Encrypt a string via WebCrypto
+                 *
+                 * @param  {String}  password
+                 * @param  {String}  plaintext
+                 * @return {Promise}  resolves with the ciphertext and the metadata needed to decrypt it
+                 */
+                var _encrypt = function (password, plaintext) {
+                    var salt = _toBase64($window.crypto.getRandomValues(new Uint8Array(16)));
+                    var iv = $window.crypto.getRandomValues(new Uint8Array(12));
+
+                    return _deriveKey(password, salt).then(function (key) {
+                        return _subtle().encrypt({ name: 'AES-GCM', iv: iv }, key, _toBytes(plaintext));
+                    }).then(function (ciphertext) {
+                        return {
+                            value: _toBase64(ciphertext),
+                            meta: { enc: 'aes-gcm', salt: salt, iv: _toBase64(iv) }
+                        };
+                    });
+                };
+
+                /**
+                 * Decrypt an item that was encrypted via WebCrypto
+                 *
+                 * @param  {String}  password
+                 * @param  {Object}  item  as returned by _unwrap
+                 * @return {Promise}  resolves with the plaintext
+                 */
+                var _decrypt = function (password, item) {
+                    return _decryptionKey(password, item.meta.salt).then(function (key) {
+                        return _subtle().decrypt({ name: 'AES-GCM', iv: _fromBase64(item.meta.iv) }, key, _fromBase64(item.value));
+                    }).then(_fromBytes);
+                };
+
+                /**
+                 * The largest item (in characters) written when probing for the remaining quota
+                 *
+                 * @type {Number}
+                 */
+                var probeLimit = 10 * 1024 * 1024;
+
+                /**
+                 * The quotas found by probing, by driver
+                 *
+                 * @type {Object}
+                 */
+                var probedQuotas = {};
+
+                /**
+                 * Find how many more bytes a driver can hold by writing ever larger items until
+                 * the quota is exceeded, null if it holds the largest probe without complaint
+                 *
+                 * @param  {Storage}  storage
+                 * @return {Number|null}
+                 */
+                var _probe = function (storage) {
+                    var key = reservedPrefix + 'probe';
+                    var fits = function (length) {
+                        try {
+                            storage.setItem(key, new Array(length + 1).join('x'));
+
+                            return true;
+                        } catch (e) {
+                            return false;
+                        }
+                    };
+
+                    var low = 0;
+                    var high = 1024;
+                    while (high <= probeLimit && fits(high)) {
+                        low = high;
+                        high *= 2;
+                    }
+
+                    if (high > probeLimit) {
+                        storage.removeItem(key);
+
+                        return null;
+                    }
+
+                    while (high - low > 1024) {
+                        var middle = Math.floor((low + high) / 2);
+                        if (fits(middle)) {
+                            low = middle;
+                        } else {
+                            high = middle;
+                        }
+                    }
+
+                    storage.removeItem(key);
+
+                    return low ? _byteSize(key) + low * 2 : 0;
+                };
+
+                /**
+                 * Estimate the quota of a driver by probing it, along with the quota of the whole
+                 * origin via the StorageManager when the browser has it
+                 *
+                 * @param  {Storage}  storage
+                 * @param  {Number}  used  bytes used by the driver
+                 * @return {Promise}
+                 */
+                var _estimate = function (storage, used) {
+                    var estimate = { quota: null, remaining: null, estimate: null, origin: null };
+
+                    // only local & session storage have a quota worth probing for. The StorageManager's
+                    // quota is that of the whole origin (often GBs), far beyond what web storage holds
+                    var name = _keyByVal(registeredDrivers, storage);
+                    if (name === 'local' || name === 'session') {
+                        // the quota doesn't change, so it's only probed for once
+                        if (! probedQuotas.hasOwnProperty(name)) {
+                            var remaining = _probe(storage);
+                            probedQuotas[name] = remaining === null ? null : used + remaining;
+                        }
+
+                        var quota = probedQuotas[name];
+
+                        angular.extend(estimate, { quota: quota, remaining: quota === null ? null : Math.max(quota - used, 0), estimate: 'probe' });
+                    }
+
+                    var manager = $window.navigator && $window.navigator.storage;
+                    if (! manager || ! angular.isFunction(manager.estimate)) return $q.when(estimate);
+
+                    return $q.when(manager.estimate()).then(function (origin) {
+                        estimate.origin = { quota: origin.quota, usage: origin.usage };
+
+                        return estimate;
+                    }, function () {
+                        return estimate;
+                    });
+                };
+
+                /**
+                 * The caches created via cache(), by driver and name
+                 *
+                 * @type {Object}
+                 */
+                var caches = {};
+
+                /**
+                 * The key within a cache's namespace that holds its keys, least recently used first
+                 *
+                 * @type {String}
+                 */
+                var cacheOrderKey = reservedPrefix + 'cache';
+
+                /**
+                 * The prefix of the namespaces the caches are stored within, so they can't clash with the app's own
+                 *
+                 * @type {String}
+                 */
+                var cacheNamespacePrefix = reservedPrefix + 'cache_';
+
+                /**
+                 * Define the LockerCache class, which follows the $cacheFactory contract
+                 * so that it can be given to $http as a cache
+                 *
+                 * @param {Locker}  locker   the instance for the cache's namespace
+                 * @param {String}  id
+                 * @param {Object}  options  e.g. { capacity: 50, maxAge: 60000 }
+                 */
+                function LockerCache (locker, id, options) {
+
+                    /**
+                     * @type {Locker}
+                     */
+                    this._locker = locker;
+
+                    /**
+                     * @type {String}
+                     */
+                    this._id = id;
+
+                    /**
+                     * @type {Object}
+                     */
+                    this._options = options;
+
+                    /**
+                     * $http caches the promise of a request while it is in flight,
+                     * which can't be serialized, so these are only kept in memory
+                     *
+                     * @type {Object}
+                     */
+                    this._pending = {};
+
+                    /**
+                     * Get the keys of the cache, least recently used first
+                     *
+                     * @return {Array}
+                     */
+                    this._order = function () {
+                        try {
+                            return JSON.parse(this._locker._driver.getItem(this._locker._getPrefix(cacheOrderKey))) || [];
+                        } catch (e) {
+                            return [];
+                        }
+                    };
+
+                    /**
+                     * Mark the key as the most recently used (or remove it), then
+                     * drop the least recently used entries beyond the capacity
+                     *
+                     * @param  {String}   key
+                     * @param  {Boolean}  removed
+                     * @return {void}
+                     */
+                    this._use = function (key, removed) {
+                        if (! this._options.capacity) return;
+
+                        var order = this._order().filter(function (item) {
+                            return item !== key;
+                        });
+                        if (! removed) order.push(key);
+
+                        while (order.length > this._options.capacity) {
+                            this._locker.forget(order.shift());
+                        }
+
+                        this._locker._driver.setItem(this._locker._getPrefix(cacheOrderKey), JSON.stringify(order));
+                    };
+                }
+
+                /**
+                 * Define the public api
+                 *
+                 * @type {Object}
+                 */
+                LockerCache.prototype = {
+
+                    /**
+                     * Add an entry to the cache
+                     *
+                     * @param  {String}  key
+                     * @param  {Mixed}   value
+                     * @return {Mixed}   the value
+                     */
+                    put: function (key, value) {
+                        if (angular.isUndefined(value)) return;
+
+                        if (value && angular.isFunction(value.then)) {
+                            this._pending[key] = value;
+                            return value;
+                        }
+
+                        delete this._pending[key];
+                        this._locker.put(key, value, this._options.maxAge ? { expires: Date.now() + this._options.maxAge } : {});
+                        this._use(key);
+
+                        return value;
+                    },
+
+                    /**
+                     * Retrieve an entry from the cache
+                     *
+                     * @param  {String}  key
+                     * @return {Mixed}   undefined when missing or older than maxAge
+                     */
+                    get: function (key) {
+                        if (this._pending.hasOwnProperty(key)) return this._pending[key];
+                        if (! this._locker.has(key)) return;
+
+                        this._use(key);
+
+                        return this._locker.get(key);
+                    },
+
+                    /**
+                     * Remove an entry from the cache
+                     *
+                     * @param  {String}  key
+                     * @return {void}
+                     */
+                    remove: function (key) {
+                        delete this._pending[key];
+                        this._locker.forget(key);
+                        this._use(key, true);
+                    },
+
+                    /**
+                     * Remove every entry from the cache
+                     *
+                     * @return {void}
+                     */
+                    removeAll: function () {
+                        this._pending = {};
+                        this._locker.clean();
+                        this._locker._driver.removeItem(this._locker._getPrefix(cacheOrderKey));
+                    },
+
+                    /**
+                     * Get the id, size and options of the cache
+                     *
+                     * @return {Object}
+                     */
+                    info: function () {
+                        var pending = Object.keys(this._pending).filter(function (key) {
+                            return ! this._locker.has(key);
+                        }, this);
+
+                        return angular.extend({}, this._options, {
+                            id: this._id,
+                            size: this._locker.keys().length + pending.length
+                        });
+                    },
+
+                    /**
+                     * Remove every entry and forget the cache, so that cache() creates a new one
+                     *
+                     * @return {void}
+                     */
+                    destroy: function () {
+                        this.removeAll();
+                        delete caches[this._locker._deriveDriver(this._locker._driver) + ':' + this._id];
+                    }
+                };
+
+                /**
+                 * Define the Locker class
+                 *
+                 * @param {Storage}  driver
+                 * @param {String}   namespace
+                 */
+                function Locker (driver, namespace) {
+
+                    /**
+                     * @type {Object}
+                     */
+                    this._registeredDrivers = registeredDrivers;
+
+                    /**
+                     * Get the Storage instance from the key
+                     *
+                     * @param  {String}  driver
+                     * @return {Storage}
+                     */
+                    this._resolveDriver = function (driver) {
+                        if (! this._registeredDrivers.hasOwnProperty(driver)) {
+                            _error('The driver "' + driver + '" was not found.');
+                        }
+
+                        return this._registeredDrivers[driver];
+                    };
+
+                    /**
+                     * Get the driver key (local/session) by the Storage instance
+                     *
+                     * @param  {Storage}  driver
+                     * @return {String}
+                     */
+                    this._deriveDriver = function (driver) {
+                        return _keyByVal(this._registeredDrivers, driver);
+                    };
+
+                    /**
+                     * @type {Storage}
+                     */
+                    this._driver = this._resolveDriver(driver);
+
+                    /**
+                     * @type {String}
+                     */
+                    this._namespace = namespace;
+
+                    /**
+                     * @type {Boolean}
+                     */
+                    this._eventsEnabled = defaults.eventsEnabled;
+
+                    /**
+                     * Whether a batch is being applied, holding back the per item events
+                     *
+                     * @type {Boolean}
+                     */
+                    this._batching = false;
+
+                    /**
+                     * @type {String}
+                     */
+                    this._separator = defaults.separator;
+
+                    /**
+                     * @type {Object}
+                     */
+                    this._watchers = {};
+
+                    /**
+                     * @type {String}
+                     */
+                    this._cryptoKey = { value : null };
+
+                    /**
+                     * Shared between instances, so each driver is only checked once
+                     *
+                     * @type {Object}
+                     */
+                    this._supported = supported;
+
+                    /**
+                     * Check browser support
+                     *
+                     * @see https://github.com/Modernizr/Modernizr/blob/master/feature-detects/storage/localstorage.js#L38-L47
+                     * @param  {String}  driver
+                     * @return {Boolean}
+                     */
+                    this._checkSupport = function (driver) {
+                        driver = driver || this._deriveDriver(this._driver);
+
+                        if (angular.isUndefined(this._supported[driver])) {
+                            try {
+                                this._resolveDriver(driver).setItem(supportKey, supportKey);
+                                this._resolveDriver(driver).removeItem(supportKey);
+                                this._supported[driver] = true;
+                            } catch (e) {
+                                this._supported[driver] = false;
+                            }
+                        }
+
+                        return this._supported[driver];
+                    };
+
+                    /**
+                     * Get all the keys held by a driver (the current one by default), using
+                     * the Storage key enumeration when the driver provides it
+                     *
+                     * @param  {Storage}  driver
+                     * @return {Array}
+                     */
+                    this._keys = function (driver) {
+                        driver = driver || this._driver;
+
+                        if (! angular.isFunction(driver.key) || ! angular.isNumber(driver.length)) {
+                            return Object.keys(driver);
+                        }
+
+                        var keys = [];
+                        for (var i = 0; i < driver.length; i++) {
+                            keys.push(driver.key(i));
+                        }
+
+                        return keys;
+                    };
+
+                    /**
+                     * Get the keys (without the namespace) of the items within the current namespace
+                     *
+                     * @return {Array}
+                     */
+                    this._itemKeys = function () {
+                        var keys = [];
+                        angular.forEach(this._keys(), function (key) {
+                            var split = key.split(this._separator);
+                            if (split.length > 1 && split[0] === this._namespace) {
+                                split.splice(0, 1);
+                                key = split.join(this._separator);
+                            }
+                            if (! _isReserved(key) && keys.indexOf(key) === -1 && this.has(key)) keys.push(key);
+                        }, this);
+
+                        return keys;
+                    };
+
+                    /**
+                     * Build the storage key from the namspace
+                     *
+                     * @param  {String}  key
+                     * @return {String}
+                     */
+                    this._getPrefix = function (key) {
+                        if (! this._namespace) return key;
+
+                        return this._namespace + this._separator + key;
+                    };
+
+                    /**
+                     * Try to serialize the value, or just return the value upon failure
+                     *
+                     * @param  {Mixed}  value
+                     * @return {Mixed}
+                     */
+                    this._serialize = function (value) {
+                        try {
+                            return serializer.serialize(value);
+                        } catch (e) {
+                            return value;
+                        }
+                    };
+
+                    /**
+                     * Try to unserialize the value, if it fails then it probably wasn't serialized so just return it
+                     *
+                     * @param  {String}  value
+                     * @return {Object|String}
+                     */
+                    this._unserialize = function (value) {
+                        try {
+                            return serializer.unserialize(value);
+                        } catch (e) {
+                            return value;
+                        }
+                    };
+
+                    /**
+                     * Trigger an event
+                     *
+                     * @param  {String} name
+                     * @param  {Object} payload
+                     * @return {void}
+                     */
+                    this._event = function (name, payload) {
+                        if (! this._eventsEnabled || this._batching) return;
+
+                        $rootScope.$emit(name, angular.extend(payload, {
+                            driver: this._deriveDriver(this._driver),
+                            namespace: this._namespace
+                        }));
+                    };
+
+                    /**
+                     * Run the interceptors' hook, in the order they were registered for the
+                     * before hooks and the reverse order otherwise, as $http does
+                     *
+                     * @param  {String}  hook
+                     * @param  {Object}  context
+                     * @return {Object|Boolean}  the (possibly transformed) context, false when vetoed
+                     */
+                    this._intercept = function (hook, context) {
+                        var chain = hook.indexOf('before') === 0 ? resolvedInterceptors : resolvedInterceptors.slice().reverse();
+
+                        // the context may already name its driver, e.g. indexeddb
+                        context = angular.extend({
+                            driver: this._deriveDriver(this._driver),
+                            namespace: this._namespace
+                        }, context);
+
+                        for (var i = 0; i < chain.length; i++) {
+                            if (angular.isFunction(chain[i][hook])) {
+                                var result = chain[i][hook](context);
+                                if (result === false) return false;
+                                if (angular.isObject(result)) context = result;
+                            }
+                        }
+
+                        return context;
+                    };
+
+                    /**
+                     * Run an operation, passing any error it throws through the interceptors'
+                     * onError hook, which may replace the error or swallow it by returning false
+                     *
+                     * @param  {String}  operation  put, get or forget
+                     * @param  {Object}  context
+                     * @param  {Function}  fn
+                     * @return {Mixed}
+                     */
+                    this._attempt = function (operation, context, fn) {
+                        try {
+                            return fn.call(this);
+                        } catch (error) {
+                            var handled = this._intercept('onError', angular.extend({}, context, { operation: operation, error: error }));
+                            if (handled === false) return void 0;
+
+                            throw handled.error;
+                        }
+                    };
+
+                    /**
+                     * Add to storage
+                     *
+                     * @param {String}  key
+                     * @param {Mixed}  value
+                     * @param {Boolean|Object}  options
+                     */
+                    this._setItem = function (key, value, options) {
+                        if (! this._checkSupport()) _error('The browser does not support localStorage');
+
+                        var context = this._intercept('beforePut', { key: key, value: value, options: _options(options) });
+                        if (! context) return;
+
+                        this._attempt('put', context, function () {
+                            var invalid = this._invalid(context.key, context.value);
+                            if (invalid) _error('Could not add item with key "' + context.key + '", ' + invalid);
+
+                            var details = context.options.path ? { path: context.options.path } : {};
+                            this._write(context.key, context.value, this._pack(context.value, context.options), details);
+                        });
+                    };
+
+                    /**
+                     * Validate a value against the schema defined for the key, if any
+                     *
+                     * @param  {String}  key
+                     * @param  {Mixed}  value
+                     * @return {String|null}  what is wrong with the value
+                     */
+                    this._invalid = function (key, value) {
+                        var namespace = schemas[this._namespace];
+                        if (! namespace || ! namespace.hasOwnProperty(key)) return null;
+
+                        return _validateSchema(namespace[key], value, key);
+                    };
+
+                    /**
+                     * Set the value at a path within an item, creating the item when it doesn't exist.
+                     * The item keeps its expiry, encryption, pinning and compression unless the options override them
+                     *
+                     * @param {String}  key
+                     * @param {Mixed}  value
+                     * @param {Object}  options
+                     */
+                    this._setPath = function (key, value, options) {
+                        var exists = this._exists(key);
+                        var item = exists ? angular.copy(this._readValue(key)) : {};
+                        if (! angular.isObject(item)) _error('Cannot set a path within the item with key "' + key + '" as it is not an object');
+
+                        var meta = exists ? _unwrap(this._driver.getItem(this._getPrefix(key))).meta : {};
+                        options = angular.extend({}, options);
+                        if (meta.enc === 'sjcl') options.encrypted = true;
+                        if (meta.pinned) options.pinned = true;
+                        if (meta.compressed && angular.isUndefined(options.compressed)) options.compressed = true;
+                        if (angular.isDefined(meta.expires) && angular.isUndefined(options.expires) && angular.isUndefined(options.ttl)) {
+                            options.expires = meta.expires;
+                        }
+
+                        var getter = $parse(options.path);
+                        if (! getter.assign) _error('The path "' + options.path + '" is not assignable');
+
+                        value = _value(value, getter(item));
+                        if (! angular.isDefined(value)) return;
+
+                        getter.assign(item, value);
+                        this._setItem(key, item, options);
+                    };
+
+                    /**
+                     * Record the current version against the namespace when it isn't yet,
+                     * as the items written now don't need migrating
+                     *
+                     * @return {void}
+                     */
+                    this._markVersion = function () {
+                        if (version === null || this._driver.getItem(this._getPrefix(versionKey))) return;
+
+                        this._driver.setItem(this._getPrefix(versionKey), String(version));
+                    };
+
+                    /**
+                     * Write an item that has already been packed to storage
+                     *
+                     * @param {String}  key
+                     * @param {Mixed}  value
+                     * @param {String}  packed
+                     * @param {Object}  details  added to the event payload
+                     */
+                    this._write = function (key, value, packed, details) {
+                        try {
+                            var exists = this._exists(key);
+                            var oldVal;
+
+                            try {
+                                oldVal = exists ? this._readValue(key) : void 0;
+                            } catch (e) {
+                                // the old value may not be readable, e.g. when encrypted with another key
+                            }
+
+                            this._store(key, packed);
+                            this._touch(key);
+                            this._flushAccessTimes();
+                            this._markVersion();
+                            if (! exists) {
+                                this._event('locker.item.added', angular.extend({ key: key, value: value }, details));
+                            } else if (! angular.equals(oldVal, value)) {
+                                this._event('locker.item.updated', angular.extend({ key: key, oldValue: oldVal, newValue: value }, details));
+                            }
+                        } catch (e) {
+                            if (_isQuotaExceeded(e)) {
+                                _error('The browser storage quota has been exceeded');
+                            } else {
+                                _error('Could not add item with key "' + key + '"');
+                            }
+                        }
+                    };
+
+                    /**
+                     * Set the packed item on the driver, evicting items to make room
+                     * when the quota is exceeded and the namespace has an eviction policy
+                     *
+                     * @param {String}  key
+                     * @param {String}  packed
+                     */
+                    this._store = function (key, packed) {
+                        try {
+                            this._driver.setItem(this._getPrefix(key), packed);
+                        } catch (e) {
+                            if (! _isQuotaExceeded(e) || ! this._evict(key)) throw e;
+
+                            this._store(key, packed);
+                        }
+                    };
+
+                    /**
+                     * Get the eviction policy of the current namespace
+                     *
+                     * @return {Object|null}
+                     */
+                    this._evictionPolicy = function () {
+                        return evictionPolicies[this._namespace] || null;
+                    };
+
+                    /**
+                     * Get when each item within the namespace was last accessed, which is read
+                     * from storage once and then kept in memory
+                     *
+                     * @return {Object}
+                     */
+                    this._accessTimes = function () {
+                        var id = this._deriveDriver(this._driver) + ':' + this._namespace;
+
+                        if (! accessTimes.hasOwnProperty(id)) {
+                            try {
+                                accessTimes[id] = JSON.parse(this._driver.getItem(this._getPrefix(accessKey))) || {};
+                            } catch (e) {
+                                accessTimes[id] = {};
+                            }
+                        }
+
+                        return accessTimes[id];
+                    };
+
+                    /**
+                     * Record that an item was accessed, or forget about it once it's removed.
+                     * This only happens in memory until the access times are next flushed
+                     *
+                     * @param  {String}  key
+                     * @param  {Boolean}  removed
+                     * @return {void}
+                     */
+                    this._touch = function (key, removed) {
+                        if (! this._evictionPolicy() || _isReserved(key)) return;
+
+                        var times = this._accessTimes();
+                        delete times[key];
+                        if (! removed) times[key] = Date.now();
+                    };
+
+                    /**
+                     * Write the access times to storage, so they outlive the page
+                     *
+                     * @return {void}
+                     */
+                    this._flushAccessTimes = function () {
+                        if (! this._evictionPolicy()) return;
+
+                        try {
+                            this._driver.setItem(this._getPrefix(accessKey), JSON.stringify(this._accessTimes()));
+                        } catch (e) {
+                            // tracking access is best effort, the item itself has been written
+                        }
+                    };
+
+                    /**
+                     * Evict the least recently used item that isn't pinned
+                     *
+                     * @param  {String}  key  the key being written, which is never evicted
+                     * @return {Boolean}  whether an item was evicted
+                     */
+                    this._evict = function (key) {
+                        var policy = this._evictionPolicy();
+                        if (! policy) return false;
+
+                        var times = this._accessTimes();
+                        var order = Object.keys(times);
+                        var candidates = this._itemKeys().filter(function (item) {
+                            if (item === key || policy.pinned.indexOf(item) !== -1) return false;
+
+                            return ! _unwrap(this._driver.getItem(this._getPrefix(item))).meta.pinned;
+                        }, this).sort(function (a, b) {
+                            return (times[a] || 0) - (times[b] || 0) || order.indexOf(a) - order.indexOf(b);
+                        });
+
+                        if (! candidates.length) return false;
+
+                        this._driver.removeItem(this._getPrefix(candidates[0]));
+                        this._touch(candidates[0], true);
+                        this._flushAccessTimes();
+                        this._event('locker.item.evicted', { key: candidates[0] });
+
+                        return true;
+                    };
+
+                    /**
+                     * Get from storage
+                     *
+                     * @param  {String}  key
+                     * @return {Mixed}
+                     */
+                    this._getItem = function (key) {
+                        if (! this._checkSupport()) _error('The browser does not support localStorage');
+
+                        var item = _unwrap(this._driver.getItem(this._getPrefix(key)));
+                        if (this._expire(key, item.meta)) return void 0;
+
+                        var value = this._attempt('get', { key: key }, function () {
+                            return this._unpack(item);
+                        });
+                        this._touch(key);
+
+                        var context = this._intercept('afterGet', { key: key, value: value });
+
+                        return context ? context.value : void 0;
+                    };
+
+                    /**
+                     * Prepare a value to be written to the driver
+                     *
+                     * @param  {Mixed}  value
+                     * @param  {Object}  options
+                     * @return {String}
+                     */
+                    this._pack = function (value, options) {
+                        var meta = this._meta(options);
+                        var serializedValue = this._compress(this._serialize(value), options, meta);
+                        var finalValue = serializedValue;
+
+                        if(!!options.encrypted && !!finalValue) {
+                            finalValue = this._sjcl().encrypt(this._cryptoKey.value, serializedValue, { mode: 'ccm', ks: 128 }, {});
+                            meta.enc = 'sjcl';
+                        }
+
+                        return _wrap(finalValue, meta);
+                    };
+
+                    /**
+                     * Compress a serialized value when asked to (or when the namespace compresses by default),
+                     * marking the metadata so it's decompressed when read. Values that wouldn't end up smaller are left as is
+                     *
+                     * @param  {String}  value
+                     * @param  {Object}  options
+                     * @param  {Object}  meta
+                     * @return {String}
+                     */
+                    this._compress = function (value, options, meta) {
+                        var enabled = angular.isDefined(options.compressed) ? options.compressed : compression[this._namespace];
+                        if (! enabled || ! angular.isString(value)) return value;
+
+                        var compressed = _lzCompress(value);
+                        if (_wrap(compressed, { compressed: 'lz' }).length >= value.length) return value;
+
+                        meta.compressed = 'lz';
+
+                        return compressed;
+                    };
+
+                    /**
+                     * Get the metadata to store along with an item
+                     *
+                     * @param  {Object}  options
+                     * @return {Object}
+                     */
+                    this._meta = function (options) {
+                        var meta = {};
+
+                        var expires = _expiry(options);
+                        if (angular.isDefined(expires)) meta.expires = expires;
+                        if (options.pinned) meta.pinned = true;
+
+                        return meta;
+                    };
+
+                    /**
+                     * Get SJCL for synchronous encryption, complaining loudly when it
+                     * or the crypto key is missing rather than storing plaintext
+                     *
+                     * @return {Object}
+                     */
+                    this._sjcl = function () {
+                        if (! window.sjcl) _error('Encryption requires SJCL, use putEncrypted() and getEncrypted() for WebCrypto');
+                        if (! this._cryptoKey.value) _error('A crypto key must be set via setCryptoKey() to use encryption');
+
+                        return window.sjcl;
+                    };
+
+                    /**
+                     * Read a value that was prepared via _pack, decrypting it if it was
+                     * encrypted (or was stored encrypted via SJCL before values were tagged)
+                     *
+                     * @param  {Object}  item  as returned by _unwrap
+                     * @return {Mixed}
+                     */
+                    this._unpack = function (item) {
+                        var finalValue = item.value;
+                        var value = finalValue;
+
+                        if (item.meta.enc === 'aes-gcm') {
+                            _error('The item is encrypted via WebCrypto, use getEncrypted() to read it');
+                        }
+
+                        if (item.meta.enc === 'sjcl' || _isSjcl(finalValue)) {
+                            value = this._sjcl().decrypt(this._cryptoKey.value, finalValue, {}, {});
+                        }
+
+                        return this._unserialize(_decompress(value, item.meta));
+                    };
+
+                    /**
+                     * Remove the item if it has expired
+                     *
+                     * @param  {String}  key
+                     * @param  {Object}  meta
+                     * @return {Boolean}  whether the item had expired
+                     */
+                    this._expire = function (key, meta) {
+                        if (! _hasExpired(meta)) return false;
+
+                        this._driver.removeItem(this._getPrefix(key));
+                        this._touch(key, true);
+                        this._event('locker.item.expired', { key: key });
+
+                        return true;
+                    };
+
+                    /**
+                     * Exists in storage
+                     *
+                     * @param  {String}  key
+                     * @return {Boolean}
+                     */
+                    this._exists = function (key) {
+                        if (! this._checkSupport()) _error('The browser does not support localStorage');
+
+                        key = _value(key);
+                        var raw = this._driver.getItem(this._getPrefix(key));
+                        if (raw === null || angular.isUndefined(raw)) return false;
+
+                        return ! this._expire(key, _unwrap(raw).meta);
+                    };
+
+                    /**
+                     * Read an item for the interceptors, without running the afterGet hooks
+                     * or failing when it can't be read
+                     *
+                     * @param  {String}  key
+                     * @return {Mixed}
+                     */
+                    this._peek = function (key) {
+                        if (! resolvedInterceptors.length) return void 0;
+
+                        try {
+                            return this._readValue(key);
+                        } catch (e) {
+                            return void 0;
+                        }
+                    };
+
+                    /**
+                     * Read an item without running the interceptors, for the writes that
+                     * need the current value
+                     *
+                     * @param  {String}  key
+                     * @return {Mixed}
+                     */
+                    this._readValue = function (key) {
+                        return this._unpack(_unwrap(this._driver.getItem(this._getPrefix(key))));
+                    };
+
+                    /**
+                     * Remove from storage
+                     *
+                     * @param  {String}  key
+                     * @return {Boolean}
+                     */
+                    this._removeItem = function (key) {
+                        if (! this._checkSupport()) _error('The browser does not support localStorage');
+
+                        if (! this._exists(key)) return false;
+
+                        var context = this._intercept('beforeForget', { key: key, value: this._peek(key) });
+                        if (! context) return false;
+
+                        return this._attempt('forget', context, function () {
+                            this._driver.removeItem(this._getPrefix(context.key));
+                            this._touch(context.key, true);
+
+                            this._event('locker.item.forgotten', { key: context.key });
+
+                            return true;
+                        }) || false;
+                    };
+
+                    /**
+                     * Bind a storage key to a $scope property until unbound or the $scope is destroyed,
+                     * forgetting the item when the property becomes undefined if options.forget is (or returns) true
+                     *
+                     * @param  {Object}  $scope
+                     * @param  {String}  key
+                     * @param  {Object}  options
+                     * @return {Function}  unbind function
+                     */
+                    this._bind = function ($scope, key, options) {
+                        var self = this;
+                        var index = options.attr || key;
+                        var getter = $parse(index);
+                        var watcherId = (index + $scope.$id);
+                        var timer = null;
+
+                        if (this._watchers[watcherId]) this._watchers[watcherId]();
+
+                        if (angular.isUndefined(getter($scope))) {
+                            getter.assign($scope, this.get(key, options.default, {}));
+                        }
+
+                        // the default encryption applies unless the caller asked otherwise
+                        var putOptions = angular.isDefined(options.encrypted) ? { encrypted: !! options.encrypted } : {};
+                        var write = function () {
+                            var value = getter($scope);
+                            if (angular.isDefined(value)) {
+                                self.put(key, value, putOptions);
+                            } else if (_value(options.forget)) {
+                                self.forget(key);
+                            }
+                        };
+
+                        var deep = angular.isDefined(options.deep) ? !! options.deep : angular.isObject(getter($scope));
+                        var unwatch = $scope.$watch(index, function () {
+                            if (! options.debounce) return write();
+
+                            $timeout.cancel(timer);
+                            timer = $timeout(function () {
+                                timer = null;
+                                write();
+                            }, options.debounce, false);
+                        }, deep);
+                        var deregistrations = [unwatch, this._watchRemote($scope, key, index)];
+
+                        var unbind = function () {
+                            angular.forEach(deregistrations, function (deregister) {
+                                deregister();
+                            });
+                            $timeout.cancel(timer);
+                            if (self._watchers[watcherId] === unbind) delete self._watchers[watcherId];
+                        };
+
+                        // write any pending change before going away
+                        deregistrations.push($scope.$on('$destroy', function () {
+                            if (timer) write();
+                            unbind();
+                        }));
+
+                        this._watchers[watcherId] = unbind;
+
+                        return unbind;
+                    };
+
+                    /**
+                     * Update a bound $scope property when the item is changed by another tab
+                     *
+                     * @param  {Object}  $scope
+                     * @param  {String}  key
+                     * @param  {String}  index
+                     * @return {Function}  deregistration function
+                     */
+                    this._watchRemote = function ($scope, key, index) {
+                        var self = this;
+                        var listeners = ['locker.item.added', 'locker.item.updated', 'locker.item.forgotten'].map(function (name) {
+                            return $rootScope.$on(name, function (e, payload) {
+                                if (! payload.remote || payload.key !== key || payload.namespace !== self._namespace) return;
+                                if (payload.driver !== self._deriveDriver(self._driver)) return;
+
+                                $parse(index).assign($scope, self.get(key));
+                            });
+                        });
+
+                        return function () {
+                            angular.forEach(listeners, function (deregister) {
+                                deregister();
+                            });
+                        };
+                    };
+
+                    /**
+                     * Switch to the fallback driver, reporting it once per driver
+                     *
+                     * @param  {String}  driver
+                     * @return {void}
+                     */
+                    this._fallback = function (driver) {
+                        this._driver = this._resolveDriver(defaults.fallbackDriver);
+
+                        if (fallbacks[driver]) return;
+                        fallbacks[driver] = true;
+
+                        this._event('locker.item.fallback', { from: driver });
+                    };
+
+                    if (defaults.fallbackDriver && driver !== defaults.fallbackDriver && ! this._checkSupport(driver)) {
+                        this._fallback(driver);
+                    }
+                }
+
+                /**
+                 * Define the public api
+                 *
+                 * @type {Object}
+                 */
+                Locker.prototype = {
+
+                    /**
+                     * Add a new item to storage (even if it already exists)
+                     *
+                     * @param  {Mixed}  key
+                     * @param  {Mixed}  value
+                     * @param  {Boolean|Object}  options  e.g. { encrypted: true, ttl: 3600, path: 'profile.theme' }
+                     * @return {self}
+                     */
+                    put: function (key, value, options) {
+                        if (! key) return false;
+                        key = _value(key);
+                        options = _options(options);
+
+                        if (angular.isObject(key)) {
+                            angular.forEach(key, function (value, key) {
+                                if (options.path) {
+                                    this._setPath(key, value, options);
+                                } else {
+                                    this._setItem(key, value, options);
+                                }
+                            }, this);
+                        } else {
+                            if (! angular.isDefined(value)) return false;
+                            if (options.path) {
+                                this._setPath(key, value, options);
+                            } else {
+                                this._setItem(key, angular.isFunction(value) ? value(this.has(key) ? this._readValue(key) : void 0) : value, options);
+                            }
+                        }
+
+                        return this;
+                    },
+
+                    /**
+                     * Add an item to storage if it doesn't already exist
+                     *
+                     * @param  {Mixed}  key
+                     * @param  {Mixed}  value
+                     * @param  {Boolean|Object}  options
+                     * @return {Boolean}
+                     */
+                    add: function (key, value, options) {
+                        if (! this.has(key)) {
+                            this.put(key, value, options);
+                            return true;
+                        }
+
+                        return false;
+                    },
+
+                    /**
+                     * Retrieve the specified item from storage, or the value at a path within it.
+                     * Given several keys or a pattern, the matching items are returned by key
+                     *
+                     * @param  {String|Array|RegExp|Object}  key  e.g. /^cart\./ or { glob: 'cart.*' }
+                     * @param  {Mixed}  def
+                     * @param  {Boolean|Object}  options  e.g. { path: 'profile.address.city', validate: true }
+                     * @return {Mixed}
+                     */
+                    get: function (key, def, options) {
+                        var hasDefault = [2,3].indexOf(arguments.length) !== -1;
+                        options = angular.isObject(options) ? options : {};
+                        var getter = options.path ? $parse(options.path) : null;
+                        if (_isQuery(key)) key = this.keys(key);
+
+                        // the item itself when it's valid (or isn't being validated), undefined otherwise
+                        var read = function (k) {
+                            var value = this._getItem(k);
+                            if (options.validate && this._invalid(k, value)) return void 0;
+
+                            return getter ? getter(value) : value;
+                        };
+
+                        if (angular.isArray(key)) {
+                            var items = {};
+                            angular.forEach(key, function (k) {
+                                if (! this.has(k)) return;
+
+                                var value;
+                                try {
+                                    value = read.call(this, k);
+                                } catch (e) {
+                                    // items that can't be decrypted here, e.g. via WebCrypto or with another key, are left out
+                                    return;
+                                }
+                                if (angular.isDefined(value) || ! options.validate) items[k] = value;
+                            }, this);
+
+                            return items;
+                        }
+
+                        if (! this.has(key)) return hasDefault ? def : void 0;
+
+                        var value = read.call(this, key);
+                        var fallback = hasDefault && (getter || options.validate);
+
+                        return angular.isUndefined(value) && fallback ? def : value;
+                    },
+
+                    /**
+                     * Determine whether the item exists in storage
+                     *
+                     * @param  {String|Function}  key
+                     * @return {Boolean}
+                     */
+                    has: function (key) {
+                        return this._exists(key);
+                    },
+
+                    /**
+                     * Remove specified item(s) from storage
+                     *
+                     * @param  {Mixed}  key
+                     * @return {Object}
+                     */
+                    forget: function (key) {
+                        key = _value(key);
+                        if (_isQuery(key)) key = this.keys(key);
+
+                        if (angular.isArray(key)) {
+                            key.map(this._removeItem, this);
+                        } else {
+                            this._removeItem(key);
+                        }
 
-        return {
-             /**
-             * Allow setting of default storage driver via `lockerProvider`
-             * e.g. lockerProvider.setDefaultDriver('session');
-             *
-             * @param {String}  driver
-             */
-            setDefaultDriver: function (driver) {
-                defaults.driver = _value(driver);
+                        return this;
+                    },
 
-                return this;
-            },
+                    /**
+                     * Retrieve the specified item from storage and then remove it
+                     *
+                     * @param  {String|Array}  key
+                     * @param  {Mixed}  def
+                     * @param  {Boolean|Object}  options
+                     * @return {Mixed}
+                     */
+                    pull: function (key, def, options) {
+                        var value = this.get(key, def, options);
+                        this.forget(key);
 
-            /**
-             * Get the default driver
-             */
-            getDefaultDriver: function () {
-                return defaults.driver;
-            },
+                        return value;
+                    },
 
-            /**
-             * Allow setting of default namespace via `lockerProvider`
-             * e.g. lockerProvider.setDefaultNamespace('myAppName');
-             *
-             * @param {String}  namespace
-             */
-            setDefaultNamespace: function (namespace) {
-                defaults.namespace = _value(namespace);
+                    /**
+                     * Retrieve the specified item, or store and return the result of the factory
+                     * when it doesn't exist. Concurrent calls for the same key share the same promise
+                     *
+                     * @param  {String}    key
+                     * @param  {Function}  factory  returning the value or a promise of it
+                     * @param  {Boolean|Object}  options  used when storing the value
+                     * @return {Promise}  rejected (and nothing stored) when the factory fails
+                     */
+                    remember: function (key, factory, options) {
+                        var self = this;
+                        var id = this._deriveDriver(this._driver) + ':' + this._getPrefix(key);
 
-                return this;
-            },
+                        if (this.has(key)) return $q.when(this.get(key));
+                        if (remembering.hasOwnProperty(id)) return remembering[id];
 
-            /**
-             * Get the default namespace
-             */
-            getDefaultNamespace: function () {
-                return defaults.namespace;
-            },
+                        var result;
+                        try {
+                            result = factory();
+                        } catch (e) {
+                            return $q.reject(e);
+                        }
 
-            /**
-             * Set whether the events are enabled
-             *
-             * @param {Boolean}  enabled
-             */
-            setEventsEnabled: function (enabled) {
-                defaults.eventsEnabled = _value(enabled);
+                        remembering[id] = $q.when(result).then(function (value) {
+                            delete remembering[id];
 
-                return this;
-            },
+                            try {
+                                self.put(key, value, options);
+                            } catch (e) {
+                                return $q.reject(e);
+                            }
 
-            /**
-             * Get whether the events are enabled
-             */
-            getEventsEnabled: function () {
-                return defaults.eventsEnabled;
-            },
+                            return value;
+                        }, function (reason) {
+                            delete remembering[id];
 
-            /**
-             * Set the separator to use with namespace in keys
-             *
-             * @param {String} separator
-             */
-            setSeparator: function (separator) {
-                defaults.separator = _value(separator);
+                            return $q.reject(reason);
+                        });
 
-                return this;
-            },
+                        return remembering[id];
+                    },
 
-            /**
-             * Get the separator
-             */
-            getSeparator: function () {
-                return defaults.separator;
-            },
+                    /**
+                     * Get the keys of the items within the current namespace, optionally only
+                     * those matching a glob (e.g. 'cart.*' or { glob: 'cart.*' }) or a RegExp
+                     *
+                     * @param  {String|RegExp|Object}  pattern
+                     * @return {Array}
+                     */
+                    keys: function (pattern) {
+                        var keys = this._itemKeys();
+                        if (angular.isUndefined(pattern)) return keys;
 
-            /**
-             * The locker service
-             */
-            $get: ['$window', '$rootScope', '$parse', function ($window, $rootScope, $parse) {
+                        var regex = _pattern(pattern);
 
-                /**
-                 * Define the Locker class
-                 *
-                 * @param {Storage}  driver
-                 * @param {String}   namespace
-                 */
-                function Locker (driver, namespace) {
+                        return keys.filter(function (key) {
+                            return regex ? key.search(regex) !== -1 : key === pattern;
+                        });
+                    },
 
                     /**
-                     * @type {Object}
+                     * Return all items in storage within the current namespace
+                     *
+                     * @return {Object}
                      */
-                    this._registeredDrivers = {
-                        local: $window.localStorage,
-                        session: $window.sessionStorage
-                    };
+                    all: function () {
+                        return this.get(this._itemKeys());
+                    },
 
                     /**
-                     * Get the Storage instance from the key
+                     * Remove all items set within the current namespace
                      *
-                     * @param  {String}  driver
-                     * @return {Storage}
+                     * @return {self}
                      */
-                    this._resolveDriver = function (driver) {
-                        if (! this._registeredDrivers.hasOwnProperty(driver)) {
-                            _error('The driver "' + driver + '" was not found.');
+                    clean: function () {
+                        var keys = this.keys();
+                        this.forget(keys);
+                        this._event('locker.namespace.cleaned', { keys: keys });
+
+                        return this;
+                    },
+
+                    /**
+                     * Empty the current storage driver completely. careful now.
+                     *
+                     * @return {self}
+                     */
+                    empty: function () {
+                        var driver = this._deriveDriver(this._driver) + ':';
+                        angular.forEach(Object.keys(accessTimes), function (id) {
+                            if (id.indexOf(driver) === 0) delete accessTimes[id];
+                        });
+
+                        this._driver.clear();
+                        this._event('locker.driver.emptied', {});
+
+                        return this;
+                    },
+
+                    /**
+                     * Listen for changes to the items matching a key or pattern within the current
+                     * driver & namespace, the handler receives the event payload
+                     * e.g. var off = locker.on('cart.*', 'updated', function (payload) { ... });
+                     *
+                     * @param  {String|RegExp}  key
+                     * @param  {String}  type  e.g. added, updated, forgotten
+                     * @param  {Function}  handler
+                     * @return {Function}  deregistration function
+                     */
+                    on: function (key, type, handler) {
+                        var name = eventTypes[type] || type;
+                        if (angular.isUndefined(_keyByVal(eventTypes, name))) _error('The event type "' + type + '" is not supported');
+
+                        var pattern = _pattern(key);
+                        var driver = this._deriveDriver(this._driver);
+                        var namespace = this._namespace;
+                        var matches = function (k) {
+                            return pattern ? k.search(pattern) !== -1 : k === key;
+                        };
+
+                        return $rootScope.$on(name, function (e, payload) {
+                            if (payload.driver !== driver) return;
+
+                            // emptying a driver removes the items within every namespace
+                            if (name !== eventTypes.emptied) {
+                                if (payload.namespace !== namespace || ! _payloadKeys(payload).some(matches)) return;
+                            }
+
+                            handler(payload, e);
+                        });
+                    },
+
+                    /**
+                     * Stage puts & forgets via the given callback, then apply them all, or none of
+                     * them if any fails, restoring the items as they were before the batch
+                     * e.g. locker.batch(function (tx) { tx.put('foo', 'bar').forget('baz'); });
+                     *
+                     * @param  {Function}  callback  receives the transaction to stage operations on
+                     * @return {self}
+                     */
+                    batch: function (callback) {
+                        var operations = [];
+                        var tx = {
+                            put: function (key, value, options) {
+                                operations.push({ method: 'put', args: [key, value, options] });
+
+                                return tx;
+                            },
+                            forget: function (key) {
+                                operations.push({ method: 'forget', args: [key] });
+
+                                return tx;
+                            }
+                        };
+
+                        callback(tx);
+
+                        var previous = {};
+                        var snapshot = function (key) {
+                            var prefixed = this._getPrefix(key);
+                            if (! previous.hasOwnProperty(prefixed)) previous[prefixed] = { key: key, raw: this._driver.getItem(prefixed) };
+                        };
+
+                        this._batching = true;
+                        try {
+                            angular.forEach(operations, function (operation) {
+                                var key = _value(operation.args[0]);
+                                if (operation.method === 'put') {
+                                    angular.forEach(angular.isObject(key) ? Object.keys(key) : [key], snapshot, this);
+                                } else {
+                                    angular.forEach(_isQuery(key) ? this.keys(key) : [].concat(key), snapshot, this);
+                                }
+
+                                operation.args[0] = key;
+                                this[operation.method].apply(this, operation.args);
+                            }, this);
+                        } catch (e) {
+                            angular.forEach(previous, function (item, prefixed) {
+                                if (item.raw === null || angular.isUndefined(item.raw)) {
+                                    this._driver.removeItem(prefixed);
+                                } else {
+                                    this._driver.setItem(prefixed, item.raw);
+                                }
+                            }, this);
+
+                            throw e;
+                        } finally {
+                            this._batching = false;
                         }
 
-                        return this._registeredDrivers[driver];
-                    };
+                        var put = {};
+                        var forgotten = [];
+                        angular.forEach(previous, function (item, prefixed) {
+                            var raw = this._driver.getItem(prefixed);
+                            var existed = item.raw !== null && angular.isDefined(item.raw);
+                            if (raw === null || angular.isUndefined(raw)) {
+                                if (existed) forgotten.push(item.key);
+                            } else if (raw !== item.raw) {
+                                put[item.key] = this._readValue(item.key);
+                            }
+                        }, this);
+
+                        this._event('locker.batch.committed', { put: put, forgotten: forgotten });
+
+                        return this;
+                    },
 
                     /**
-                     * Get the driver key (local/session) by the Storage instance
+                     * Get the total number of items within the current namespace
                      *
-                     * @param  {Storage}  driver
-                     * @return {String}
+                     * @return {Integer}
                      */
-                    this._deriveDriver = function (driver) {
-                        return _keyByVal(this._registeredDrivers, driver);
-                    };
+                    count: function () {
+                        return this._itemKeys().length;
+                    },
+
+                    /**
+                     * Get the number of bytes used by an item, or by the current namespace
+                     *
+                     * @param  {String}  key
+                     * @return {Number}
+                     */
+                    size: function (key) {
+                        if (angular.isDefined(key)) {
+                            if (! this._exists(key)) return 0;
+
+                            return _byteSize(this._getPrefix(key)) + _byteSize(this._driver.getItem(this._getPrefix(key)));
+                        }
+
+                        var prefix = this._getPrefix('');
+                        var size = 0;
+                        angular.forEach(this._keys(), function (key) {
+                            if (key.indexOf(prefix) === 0) size += _byteSize(key) + _byteSize(this._driver.getItem(key));
+                        }, this);
+
+                        return size;
+                    },
+
+                    /**
+                     * Get the bytes used by each driver and namespace, along with an
+                     * estimate of the quota left for the current driver
+                     *
+                     * @return {Promise}
+                     */
+                    usage: function () {
+                        var usage = { bytes: 0, drivers: {} };
+
+                        angular.forEach(this._registeredDrivers, function (storage, name) {
+                            if (! this._checkSupport(name)) return;
+
+                            var driver = { bytes: 0, namespaces: {} };
+                            angular.forEach(this._keys(storage), function (key) {
+                                var index = this._separator ? key.indexOf(this._separator) : -1;
+                                var namespace = index > 0 ? key.slice(0, index) : '';
+                                var bytes = _byteSize(key) + _byteSize(storage.getItem(key));
+
+                                driver.namespaces[namespace] = (driver.namespaces[namespace] || 0) + bytes;
+                                driver.bytes += bytes;
+                            }, this);
+
+                            usage.drivers[name] = driver;
+                            usage.bytes += driver.bytes;
+                        }, this);
+
+                        var current = usage.drivers[this._deriveDriver(this._driver)];
+
+                        return _estimate(this._driver, current ? current.bytes : 0).then(function (estimate) {
+                            return angular.extend(usage, estimate);
+                        });
+                    },
+
+                    /**
+                     * Bind a storage key to a $scope property, either passing the options or
+                     * the default value & attribute, e.g. bind($scope, 'foo', { debounce: 300 })
+                     *
+                     * @param  {Object}  $scope
+                     * @param  {String}  key
+                     * @param  {Mixed}   def  or the options: default, attr, debounce, deep & encrypted
+                     * @param  {String}  attr
+                     * @return {self}
+                     */
+                    bind: function ($scope, key, def, attr) {
+                        var options = arguments.length === 3 && _isOptions(def, bindOptions) ? def : { default: def, attr: attr };
+                        this._bind($scope, key, options);
+
+                        return this;
+                    },
+
+                    /**
+                     * Bind a storage key to a $scope property, and encrypt it
+                     *
+                     * @param  {Object}  $scope
+                     * @param  {String}  key
+                     * @param  {Mixed}   def  or the options, as with bind()
+                     * @param  {String}  attr
+                     * @return {self}
+                     */
+                    bindEncrypted: function ($scope, key, def, attr) {
+                        var options = arguments.length === 3 && _isOptions(def, bindOptions) ? def : { default: def, attr: attr };
+
+                        this._bind($scope, key, angular.extend({}, options, { encrypted: true }));
+
+                        return this;
+                    },
+
+                    /**
+                     * Unbind a storage key from a $scope property
+                     *
+                     * @param  {Object}  $scope
+                     * @param  {String}  key
+                     * @param  {String}  attr
+                     * @param  {boolean}  dontForget
+                     * @return {self}
+                     */
+                    unbind: function ($scope, key, attr, dontForget) {
+                        var index = attr || key;
+
+                        $parse(index).assign($scope, null);
+
+                        if(!dontForget) {
+                            this.forget(key);
+                        }
 
-                    /**
-                     * @type {Storage}
-                     */
-                    this._driver = this._resolveDriver(driver);
+                        var watcherId = (index + $scope.$id);
+                        if (this._watchers[watcherId]) {
+                            this._watchers[watcherId]();
+                            delete this._watchers[watcherId];
+                        }
 
-                    /**
-                     * @type {String}
-                     */
-                    this._namespace = namespace;
+                        return this;
+                    },
 
                     /**
-                     * @type {Boolean}
+                     * Set the storage driver on a new instance to enable overriding defaults
+                     *
+                     * @param  {String}  driver
+                     * @return {self}
                      */
-                    this._eventsEnabled = defaults.eventsEnabled;
+                    driver: function (driver) {
+                        return this.instance(driver, this._namespace);
+                    },
 
                     /**
-                     * @type {String}
+                     * Get the currently set driver
+                     *
+                     * @return {Storage}
                      */
-                    this._separator = defaults.separator;
+                    getDriver: function () {
+                        return this._driver;
+                    },
 
                     /**
-                     * @type {Object}
+                     * Set the namespace on a new instance to enable overriding defaults
+                     *
+                     * @param  {String}  namespace
+                     * @return {self}
                      */
-                    this._watchers = {};
+                    namespace: function (namespace) {
+                        return this.instance(this._deriveDriver(this._driver), namespace);
+                    },
 
                     /**
-                     * @type {String}
+                     * Get the currently set namespace
+                     *
+                     * @return {String}
                      */
-                    this._cryptoKey = { value : null };
+                    getNamespace: function () {
+                        return this._namespace;
+                    },
 
                     /**
                      * Check browser support
@@ -230,496 +3553,706 @@
                      * @param  {String}  driver
                      * @return {Boolean}
                      */
-                    this._checkSupport = function (driver) {
-                        if (angular.isUndefined(this._supported)) {
-                            var l = 'l';
-                            try {
-                                this._resolveDriver(driver || 'local').setItem(l, l);
-                                this._resolveDriver(driver || 'local').removeItem(l);
-                                this._supported = true;
-                            } catch (e) {
-                                this._supported = false;
-                            }
-                        }
-
-                        return this._supported;
-                    };
+                    supported: function (driver) {
+                        return this._checkSupport(driver);
+                    },
 
                     /**
-                     * Build the storage key from the namspace
                      *
-                     * @param  {String}  key
-                     * @return {String}
+                     * @param {String} key
                      */
-                    this._getPrefix = function (key) {
-                        if (! this._namespace) return key;
+                    setCryptoKey: function(key){
+                        if (!angular.isString(key) || key.length === 0 || key.replace(/\s/gm, '').length === 0) { // Check non-blank
+                            return;
+                        }
 
-                        return this._namespace + this._separator + key;
-                    };
+                        this._cryptoKey.value = key;
+                    },
 
                     /**
-                     * Try to encode value as json, or just return the value upon failure
+                     * Encrypt an item via WebCrypto (AES-GCM) and add it to storage
                      *
+                     * @param  {String}  key
                      * @param  {Mixed}  value
-                     * @return {Mixed}
+                     * @param  {Object}  options
+                     * @return {Promise}  resolves with self
                      */
-                    this._serialize = function (value) {
-                        try {
-                            return angular.toJson(value);
-                        } catch (e) {
-                            return value;
-                        }
-                    };
+                    putEncrypted: function (key, value, options) {
+                        var self = this;
+
+                        if (! _subtle()) return _reject('Encryption via WebCrypto is not supported by the browser');
+                        if (! this._cryptoKey.value) return _reject('A crypto key must be set via setCryptoKey() to use encryption');
+                        if (! key || ! angular.isDefined(value)) return $q.when(false);
+
+                        options = _options(options);
+                        var current = angular.isFunction(value) ? this.getEncrypted(key) : $q.when();
+
+                        var context;
+                        var meta;
+
+                        return current.then(function (current) {
+                            context = self._intercept('beforePut', { key: key, value: _value(value, current), options: options });
+                            if (! context) return null;
+
+                            var invalid = self._invalid(context.key, context.value);
+                            if (invalid) return _reject('Could not add item with key "' + context.key + '", ' + invalid);
+
+                            meta = self._meta(context.options);
+
+                            return _encrypt(self._cryptoKey.value, self._compress(self._serialize(context.value), context.options, meta));
+                        }).then(function (encrypted) {
+                            if (encrypted) self._write(context.key, context.value, _wrap(encrypted.value, angular.extend(meta, encrypted.meta)));
+
+                            return self;
+                        });
+                    },
 
                     /**
-                     * Try to parse value as json, if it fails then it probably isn't json so just return it
+                     * Retrieve and decrypt the specified item from storage, reading items
+                     * encrypted via WebCrypto or SJCL
                      *
-                     * @param  {String}  value
-                     * @return {Object|String}
+                     * @param  {String}  key
+                     * @param  {Mixed}  def
+                     * @return {Promise}
                      */
-                    this._unserialize = function (value) {
+                    getEncrypted: function (key, def) {
+                        var self = this;
+
+                        if (! this.has(key)) return $q.when(def);
+
+                        var item = _unwrap(this._driver.getItem(this._getPrefix(key)));
+
+                        if (item.meta.enc === 'aes-gcm') {
+                            if (! _subtle()) return _reject('Decryption via WebCrypto is not supported by the browser');
+                            if (! this._cryptoKey.value) return _reject('A crypto key must be set via setCryptoKey() to use encryption');
+
+                            return _decrypt(this._cryptoKey.value, item).then(function (plaintext) {
+                                var context = self._intercept('afterGet', { key: key, value: self._unserialize(_decompress(plaintext, item.meta)) });
+
+                                return context ? context.value : void 0;
+                            });
+                        }
+
                         try {
-                            return angular.fromJson(value);
+                            return $q.when(this._getItem(key));
                         } catch (e) {
-                            return value;
+                            return $q.reject(e);
                         }
-                    };
+                    },
 
                     /**
-                     * Trigger an event
+                     * Re-encrypt every encrypted item within the current namespace with a new
+                     * crypto key, leaving every item untouched if any of them can't be decrypted
                      *
-                     * @param  {String} name
-                     * @param  {Object} payload
-                     * @return {void}
+                     * @param  {String}  oldKey
+                     * @param  {String}  newKey
+                     * @return {Promise}  resolves with the keys of the rotated items
                      */
-                    this._event = function (name, payload) {
-                        if (! this._eventsEnabled) return;
+                    rotateCryptoKey: function (oldKey, newKey) {
+                        var self = this;
+                        var rotated = {};
 
-                        $rootScope.$emit(name, angular.extend(payload, {
-                            driver: this._deriveDriver(this._driver),
-                            namespace: this._namespace
-                        }));
-                    };
+                        if (! angular.isString(newKey) || ! newKey.replace(/\s/gm, '').length) {
+                            return _reject('The new crypto key must not be blank');
+                        }
 
-                    /**
-                     * Add to storage
-                     *
-                     * @param {String}  key
-                     * @param {Mixed}  value
-                     * @param {boolean}  encrypted
-                     */
-                    this._setItem = function (key, value, encrypted) {
-                        if (! this._checkSupport()) _error('The browser does not support localStorage');
+                        var promises = this._itemKeys().map(function (key) {
+                            var item = _unwrap(self._driver.getItem(self._getPrefix(key)));
 
-                        try {
-                            var oldVal = this._getItem(key);
-                            var serializedValue = this._serialize(value);
-                            var finalValue = serializedValue;
+                            if (item.meta.enc === 'aes-gcm') {
+                                if (! _subtle()) return _reject('Decryption via WebCrypto is not supported by the browser');
 
-                            if(!!encrypted && window.sjcl && !!this._cryptoKey.value && !!finalValue) {
-                                finalValue = window.sjcl.encrypt(this._cryptoKey.value, serializedValue, { mode: 'ccm', ks: 128 }, {});
+                                return _decrypt(oldKey, item).then(function (plaintext) {
+                                    return _encrypt(newKey, plaintext);
+                                }).then(function (encrypted) {
+                                    delete item.meta.salt;
+                                    delete item.meta.iv;
+                                    rotated[key] = _wrap(encrypted.value, angular.extend(item.meta, encrypted.meta));
+                                }, function () {
+                                    return _reject('Could not decrypt item with key "' + key + '"');
+                                });
                             }
 
-                            this._driver.setItem(this._getPrefix(key), finalValue);
-                            if (this._exists(key) && ! angular.equals(oldVal, finalValue)) {
-                                this._event('locker.item.updated', { key: key, oldValue: oldVal, newValue: finalValue });
-                            } else {
-                                this._event('locker.item.added', { key: key, value: value });
+                            if (_isSjcl(item.value)) {
+                                try {
+                                    if (! window.sjcl) _error('Decryption of item with key "' + key + '" requires SJCL');
+                                    var plaintext = window.sjcl.decrypt(oldKey, item.value, {}, {});
+                                    rotated[key] = _wrap(window.sjcl.encrypt(newKey, plaintext, { mode: 'ccm', ks: 128 }, {}), angular.extend(item.meta, { enc: 'sjcl' }));
+                                } catch (e) {
+                                    return _reject('Could not decrypt item with key "' + key + '"');
+                                }
                             }
-                        } catch (e) {
-                            if (['QUOTA_EXCEEDED_ERR', 'NS_ERROR_DOM_QUOTA_REACHED', 'QuotaExceededError'].indexOf(e.name) !== -1) {
-                                _error('The browser storage quota has been exceeded');
-                            } else {
-                                _error('Could not add item with key "' + key + '"');
+                        });
+
+                        return $q.all(promises).then(function () {
+                            var previous = {};
+
+                            try {
+                                angular.forEach(rotated, function (value, key) {
+                                    previous[key] = self._driver.getItem(self._getPrefix(key));
+                                    self._driver.setItem(self._getPrefix(key), value);
+                                });
+                            } catch (e) {
+                                angular.forEach(previous, function (value, key) {
+                                    self._driver.setItem(self._getPrefix(key), value);
+                                });
+
+                                return _reject('Could not rotate the crypto key');
                             }
+
+                            var keys = Object.keys(rotated);
+
+                            self._cryptoKey.value = newKey;
+                            self._event('locker.crypto.rotated', { keys: keys });
+
+                            return keys;
+                        });
+                    },
+
+                    clearWatchers: function() {
+                        for(var i in this._watchers) {
+                            this._watchers[i]();
                         }
-                    };
+                    },
 
                     /**
-                     * Get from storage
+                     * Get a cache backed by a namespace reserved for the given name, for use with $http
+                     * e.g. $http.get(url, { cache: locker.cache('api', { capacity: 50, maxAge: 60000 }) })
                      *
-                     * @param  {String}  key
-                     * @param  {boolean}  encrypted
-                     * @return {Mixed}
+                     * @param  {String}  name
+                     * @param  {Object}  options  capacity & maxAge (in milliseconds)
+                     * @return {LockerCache}
                      */
-                    this._getItem = function (key, encrypted) {
-                        if (! this._checkSupport()) _error('The browser does not support localStorage');
+                    cache: function (name, options) {
+                        var driver = this._deriveDriver(this._driver);
+                        var id = driver + ':' + name;
 
-                        var finalValue = this._driver.getItem(this._getPrefix(key));
-                        var item = finalValue;
-
-                        if(!!encrypted && window.sjcl && !!this._cryptoKey.value && !!finalValue) {
-                            item = window.sjcl.decrypt(this._cryptoKey.value, finalValue, {}, {});
+                        if (! caches.hasOwnProperty(id)) {
+                            caches[id] = new LockerCache(this.instance(driver, cacheNamespacePrefix + name), name, angular.extend({}, options));
                         }
 
-                        return this._unserialize(item);
-                    };
+                        return caches[id];
+                    },
 
                     /**
-                     * Exists in storage
+                     * Get a new instance of Locker
                      *
-                     * @param  {String}  key
-                     * @return {Boolean}
+                     * @param  {String}  driver
+                     * @param  {String}  namespace
+                     * @return {Locker}
                      */
-                    this._exists = function (key) {
-                        if (! this._checkSupport()) _error('The browser does not support localStorage');
-
-                        return this._driver.hasOwnProperty(this._getPrefix(_value(key)));
-                    };
+                    instance: function (driver, namespace) {
+                        var locker = new Locker(driver, namespace);
+                        locker.setCryptoKey(this._cryptoKey.value);
+                        return  locker;
+                    },
 
                     /**
-                     * Remove from storage
+                     * Get an instance that stores items in IndexedDB within the current namespace
                      *
-                     * @param  {String}  key
-                     * @return {Boolean}
+                     * @return {AsyncLocker}
                      */
-                    this._removeItem = function (key) {
-                        if (! this._checkSupport()) _error('The browser does not support localStorage');
+                    async: function () {
+                        return new AsyncLocker(this);
+                    }
+                };
 
-                        if (! this._exists(key)) return false;
-                        this._driver.removeItem(this._getPrefix(key));
+                /**
+                 * The instances relaying the changes made by other tabs, by driver and namespace
+                 *
+                 * @type {Object}
+                 */
+                var relays = {};
 
-                        this._event('locker.item.forgotten', { key: key });
+                /**
+                 * Relay the changes made to storage by other tabs as locker events
+                 *
+                 * @param  {StorageEvent}  e
+                 * @return {void}
+                 */
+                var _onStorage = function (e) {
+                    var driver = _keyByVal(registeredDrivers, e.storageArea);
 
-                        return true;
+                    // other tabs checking for support would otherwise set off the check here too, and so on
+                    if (! driver || e.key === null || e.key === supportKey) return;
+
+                    var index = defaults.separator ? e.key.indexOf(defaults.separator) : -1;
+                    var namespace = index === -1 ? false : e.key.slice(0, index);
+                    var key = index === -1 ? e.key : e.key.slice(index + defaults.separator.length);
+                    if (_isReserved(key)) return;
+
+                    var id = driver + ':' + namespace;
+                    if (! relays.hasOwnProperty(id)) relays[id] = new Locker(driver, namespace);
+                    var locker = relays[id];
+
+                    var read = function (raw) {
+                        try {
+                            return raw === null ? void 0 : locker._unpack(_unwrap(raw));
+                        } catch (e) {
+                            // encrypted items can't always be read here
+                        }
                     };
+
+                    var oldValue = read(e.oldValue);
+                    var newValue = read(e.newValue);
+
+                    $rootScope.$apply(function () {
+                        if (e.newValue === null) {
+                            locker._event('locker.item.forgotten', { key: key, remote: true });
+                        } else if (e.oldValue === null) {
+                            locker._event('locker.item.added', { key: key, value: newValue, remote: true });
+                        } else {
+                            locker._event('locker.item.updated', { key: key, oldValue: oldValue, newValue: newValue, remote: true });
+                        }
+                    });
+                };
+
+                if ($window.addEventListener) {
+                    $window.addEventListener('storage', _onStorage, false);
                 }
 
                 /**
-                 * Define the public api
+                 * Run the migrations needed to bring a namespace up to the current version,
+                 * restoring the namespace as it was if any of them fail
                  *
-                 * @type {Object}
+                 * @param  {Locker}  locker
+                 * @return {void}
                  */
-                Locker.prototype = {
+                var _migrateNamespace = function (locker) {
+                    var from = Number(locker._driver.getItem(locker._getPrefix(versionKey))) || 0;
+                    if (from >= version) return;
 
-                    /**
-                     * Add a new item to storage (even if it already exists)
-                     *
-                     * @param  {Mixed}  key
-                     * @param  {Mixed}  value
-                     * @param  {Boolean}  encrypted
-                     * @return {self}
-                     */
-                    put: function (key, value, encrypted) {
-                        if (! key) return false;
-                        key = _value(key);
+                    var prefix = locker._getPrefix('');
+                    var snapshot = {};
+                    angular.forEach(locker._keys(), function (key) {
+                        if (key.indexOf(prefix) === 0) snapshot[key] = locker._driver.getItem(key);
+                    });
 
-                        if (angular.isObject(key)) {
-                            angular.forEach(key, function (value, key) {
-                                this._setItem(key, value, !!encrypted);
-                            }, this);
-                        } else {
-                            if (! angular.isDefined(value)) return false;
-                            this._setItem(key, _value(value, this._getItem(key, !!encrypted)), !!encrypted);
+                    var run = function (migration) {
+                        migration(locker);
+                    };
+
+                    try {
+                        for (var current = from; current < version; current++) {
+                            angular.forEach(migrations[current], run);
                         }
 
-                        return this;
-                    },
+                        locker._driver.setItem(locker._getPrefix(versionKey), String(version));
+                    } catch (e) {
+                        angular.forEach(locker._keys(), function (key) {
+                            if (key.indexOf(prefix) === 0 && ! snapshot.hasOwnProperty(key)) locker._driver.removeItem(key);
+                        });
+                        angular.forEach(snapshot, function (value, key) {
+                            locker._driver.setItem(key, value);
+                        });
 
-                    /**
-                     * Add an item to storage if it doesn't already exist
-                     *
-                     * @param  {Mixed}  key
-                     * @param  {Mixed}  value
-                     * @param  {Boolean}  encrypted 
-                     * @return {Boolean}
-                     */
-                    add: function (key, value, encrypted) {
-                        if (! this.has(key)) {
-                            this.put(key, value, encrypted);
-                            return true;
-                        }
+                        locker._event('locker.migration.failed', { from: from, to: version, error: e });
+                        return;
+                    }
+
+                    locker._event('locker.migration.completed', { from: from, to: version });
+                };
+
+                /**
+                 * Run the migrations against the default namespace, those set via setMigrationNamespaces()
+                 * and those with a version recorded within the default driver
+                 *
+                 * @param  {Locker}  locker  the default instance
+                 * @return {void}
+                 */
+                var _migrate = function (locker) {
+                    if (version === null || ! locker._checkSupport()) return;
+
+                    var namespaces = [];
+                    var add = function (namespace) {
+                        if (namespace && ! _isReserved(namespace) && namespaces.indexOf(namespace) === -1) namespaces.push(namespace);
+                    };
+
+                    add(defaults.namespace);
+                    angular.forEach(migrationNamespaces, add);
+
+                    var suffix = defaults.separator + versionKey;
+                    angular.forEach(locker._keys(), function (key) {
+                        var index = key.length - suffix.length;
+                        if (index > 0 && key.slice(index) === suffix) add(key.slice(0, index));
+                    });
+
+                    angular.forEach(namespaces, function (namespace) {
+                        _migrateNamespace(locker.namespace(namespace));
+                    });
+                };
+
+                var locker = new Locker(defaults.driver, defaults.namespace);
+                _migrate(locker);
+
+                // return the default instance
+                return locker;
+            }]
+        };
+
+    })
+
+    /**
+     * Persist an ng-model via locker, restoring it when linked
+     * e.g. <input ng-model="user.name" locker-model="userName" locker-namespace="profile">
+     */
+    .directive('lockerModel', ['locker', '$parse', function (locker, $parse) {
+        return {
+            restrict: 'A',
+            require: 'ngModel',
+            link: function (scope, element, attrs, ngModel) {
+                var key = attrs.lockerModel;
+
+                var store = locker;
+                if (attrs.lockerDriver) store = store.driver(attrs.lockerDriver);
+                if (attrs.lockerNamespace) store = store.namespace(attrs.lockerNamespace);
+
+                var model = $parse(attrs.ngModel);
+
+                // the stored value wins over one the model already has
+                if (store.has(key)) model.assign(scope, store.get(key));
+
+                var unbind = store._bind(scope, key, {
+                    attr: attrs.ngModel,
+                    default: scope.$eval(attrs.lockerDefault),
+                    deep: true,
+                    encrypted: angular.isDefined(attrs.lockerEncrypted) ? attrs.lockerEncrypted !== 'false' : void 0,
+                    // ngModel leaves the model undefined while the input is invalid, e.g. a half typed email,
+                    // which shouldn't lose what was stored, only clearing the input should
+                    forget: function () {
+                        return ngModel.$valid || ngModel.$isEmpty(ngModel.$viewValue);
+                    }
+                });
 
-                        return false;
-                    },
+                // clearing an input that was invalid leaves the model undefined, as it already was
+                var unwatch = scope.$watch(function () {
+                    return ngModel.$isEmpty(ngModel.$viewValue);
+                }, function (empty) {
+                    if (empty && angular.isUndefined(model(scope))) store.forget(key);
+                });
 
-                    /**
-                     * Retrieve the specified item from storage
-                     *
-                     * @param  {String|Array}  key
-                     * @param  {Mixed}  def
-                     * @param  {Boolean}  encrypted
-                     * @return {Mixed}
-                     */
-                    get: function (key, def, encrypted) {
-                        if (angular.isArray(key)) {
-                            var items = {};
-                            angular.forEach(key, function (k) {
-                                if (this.has(k)) items[k] = this._getItem(k, !!encrypted);
-                            }, this);
+                element.on('$destroy', function () {
+                    unwatch();
+                    unbind();
+                });
+            }
+        };
+    }])
 
-                            return items;
-                        }
+    /**
+     * Store failed requests within a locker namespace, replaying them in order
+     * when the browser comes back online or on demand
+     */
+    .provider('lockerQueue', function () {
 
-                        if (! this.has(key)) return [2,3].indexOf(arguments.length) !==  -1? def : void 0;
+        /**
+         * The options used by the queue
+         *
+         * @type {Object}
+         */
+        var queueOptions = {
+            driver: 'local',
+            namespace: 'lockerQueue',
+            methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+            maxAttempts: 5,
+            backoff: 1000,
+            maxBackoff: 300000,
+            omitHeaders: ['Authorization', 'Proxy-Authorization', 'Cookie', 'X-XSRF-TOKEN']
+        };
 
-                        return this._getItem(key, !!encrypted);
-                    },
+        /**
+         * Whether a replayed request that failed with the status is worth retrying,
+         * i.e. it didn't get a response at all or got a server error
+         *
+         * @param  {Number}  status
+         * @return {Boolean}
+         */
+        var _isRetryable = function (status) {
+            return status <= 0 || status >= 500;
+        };
 
-                    /**
-                     * Determine whether the item exists in storage
-                     *
-                     * @param  {String|Function}  key
-                     * @return {Boolean}
-                     */
-                    has: function (key) {
-                        return this._exists(key);
-                    },
+        return {
 
-                    /**
-                     * Remove specified item(s) from storage
-                     *
-                     * @param  {Mixed}  key
-                     * @return {Object}
-                     */
-                    forget: function (key) {
-                        key = _value(key);
+            /**
+             * Set the options used by the queue
+             * e.g. lockerQueueProvider.setOptions({ namespace: 'outbox', maxAttempts: 10 });
+             *
+             * @param {Object}  options  driver, namespace, methods, maxAttempts, backoff & maxBackoff (in milliseconds), omitHeaders
+             */
+            setOptions: function (options) {
+                angular.extend(queueOptions, options);
 
-                        if (angular.isArray(key)) {
-                            key.map(this._removeItem, this);
-                        } else {
-                            this._removeItem(key);
-                        }
+                return this;
+            },
 
-                        return this;
-                    },
+            /**
+             * Get the options used by the queue
+             */
+            getOptions: function () {
+                return queueOptions;
+            },
 
-                    /**
-                     * Retrieve the specified item from storage and then remove it
-                     *
-                     * @param  {String|Array}  key
-                     * @param  {Mixed}  def
-                     * @param  {Boolean}  encrypted
-                     * @return {Mixed}
-                     */
-                    pull: function (key, def, encrypted) {
-                        var value = this.get(key, def, !!encrypted);
-                        this.forget(key);
+            /**
+             * The lockerQueue service
+             */
+            $get: ['$window', '$rootScope', '$http', '$q', '$timeout', 'locker', function ($window, $rootScope, $http, $q, $timeout, locker) {
 
-                        return value;
-                    },
+                /**
+                 * The instance that holds the queue
+                 *
+                 * @type {Locker}
+                 */
+                var store = locker.instance(queueOptions.driver, queueOptions.namespace);
 
-                    /**
-                     * Return all items in storage within the current namespace
-                     *
-                     * @return {Object}
-                     */
-                    all: function () {
-                        var items = {};
-                        angular.forEach(this._driver, function (value, key) {
-                            var split = key.split(this._separator);
-                            if (split.length > 1 && split[0] === this._namespace) {
-                                split.splice(0, 1);
-                                key = split.join(this._separator);
-                            }
-                            if (this.has(key)) items[key] = this.get(key);
-                        }, this);
+                /**
+                 * The key of the queued requests, oldest first
+                 *
+                 * @type {String}
+                 */
+                var requestsKey = 'requests';
 
-                        return items;
-                    },
+                /**
+                 * The promise of the replay in progress
+                 *
+                 * @type {Promise|null}
+                 */
+                var replaying = null;
 
-                    /**
-                     * Remove all items set within the current namespace
-                     *
-                     * @return {self}
-                     */
-                    clean: function () {
-                        this.forget(Object.keys(this.all()));
+                /**
+                 * The timer of the next retry
+                 *
+                 * @type {Promise|null}
+                 */
+                var timer = null;
 
-                        return this;
-                    },
+                /**
+                 * @return {Array}
+                 */
+                var _requests = function () {
+                    return store.get(requestsKey, []);
+                };
 
-                    /**
-                     * Empty the current storage driver completely. careful now.
-                     *
-                     * @return {self}
-                     */
-                    empty: function () {
-                        this._driver.clear();
+                /**
+                 * Store the queued requests, replacing the request with the same id
+                 * (or removing it when only the id is given)
+                 *
+                 * @param  {Object}   request
+                 * @param  {Boolean}  removed
+                 * @return {void}
+                 */
+                var _save = function (request, removed) {
+                    var requests = _requests().map(function (item) {
+                        return item.id === request.id ? request : item;
+                    }).filter(function (item) {
+                        return ! removed || item.id !== request.id;
+                    });
 
-                        return this;
-                    },
+                    if (requests.length) {
+                        store.put(requestsKey, requests);
+                    } else {
+                        store.forget(requestsKey);
+                    }
+                };
 
-                    /**
-                     * Get the total number of items within the current namespace
-                     *
-                     * @return {Integer}
-                     */
-                    count: function () {
-                        return Object.keys(this.all()).length;
-                    },
+                /**
+                 * Replay the oldest request, then the next one until the queue is
+                 * empty or a request has to be retried later
+                 *
+                 * @param  {Object}  result  the number of requests replayed & dropped so far
+                 * @return {Promise}
+                 */
+                var _next = function (result) {
+                    var request = _requests()[0];
+                    if (! request) return $q.when(result);
 
-                    /**
-                     * Bind a storage key to a $scope property
-                     *
-                     * @param  {Object}  $scope
-                     * @param  {String}  key
-                     * @param  {Mixed}   def
-                     * @param  {String}  attr
-                     * @return {self}
-                     */
-                    bind: function ($scope, key, def, attr) {
-                        var index = attr || key;
+                    return $http(angular.extend({}, request.config, { lockerQueue: false })).then(function (response) {
+                        _save(request, true);
+                        result.replayed++;
+                        store._event('locker.queue.replayed', { request: request, status: response.status });
 
-                        var self = this;
-                        var watcherId = (index + $scope.$id);
+                        return _next(result);
+                    }, function (response) {
+                        request.attempts++;
+                        request.lastAttempt = Date.now();
+                        request.lastStatus = response.status;
 
-                        this._watchers[ watcherId] = $scope.$watch(index, function (newVal) {
-                            if (angular.isDefined(newVal)) {
-                                self.put(key, newVal);
-                            }
-                        }, angular.isObject($scope[index]));
+                        if (! _isRetryable(response.status) || (response.status > 0 && request.attempts >= queueOptions.maxAttempts)) {
+                            _save(request, true);
+                            result.dropped++;
+                            store._event('locker.queue.dropped', { request: request, status: response.status });
 
-                        if (angular.isUndefined( $scope.$eval(index) )) {
-                            var value = this.get(key, def);
-                            $parse(index).assign($scope, value);
+                            return _next(result);
                         }
 
-                        return this;
-                    },
-
-                    /**
-                     * Bind a storage key to a $scope property, and encrypt it
-                     *
-                     * @param  {Object}  $scope
-                     * @param  {String}  key
-                     * @param  {Mixed}   def
-                     * @param  {String}  attr
-                     * @return {self}
-                     */
-                    bindEncrypted: function ($scope, key, def, attr) {
-                        var index = attr || key;
+                        var delay = Math.min(queueOptions.backoff * Math.pow(2, request.attempts - 1), queueOptions.maxBackoff);
+                        request.nextAttempt = request.lastAttempt + delay;
+                        _save(request);
+                        store._event('locker.queue.failed', { request: request, status: response.status });
 
-                        var self = this;
-                        var watcherId = (index + $scope.$id);
+                        result.retryIn = delay;
+                        return result;
+                    });
+                };
 
-                        this._watchers[ watcherId] = $scope.$watch(index, function (newVal) {
-                            if (angular.isDefined(newVal)) {
-                                self.put(key, newVal, true);
-                            }
-                        }, angular.isObject($scope[index]));
+                /**
+                 * Replay the queued requests in order, scheduling a retry when one fails
+                 *
+                 * @return {Promise}  resolves with the number of requests replayed, dropped & remaining
+                 */
+                var _replay = function () {
+                    if (replaying) return replaying;
 
-                        if (angular.isUndefined( $scope.$eval(index) )) {
-                            var value = this.get(key, def, true);
-                            $parse(index).assign($scope, value);
-                        }
+                    $timeout.cancel(timer);
+                    timer = null;
 
-                        return this;
-                    },
+                    replaying = _next({ replayed: 0, dropped: 0 }).then(function (result) {
+                        replaying = null;
+                        if (result.retryIn) timer = $timeout(_replay, result.retryIn);
 
-                    /**
-                     * Unbind a storage key from a $scope property
-                     *
-                     * @param  {Object}  $scope
-                     * @param  {String}  key
-                     * @param  {String}  attr
-                     * @param  {boolean}  dontForget
-                     * @return {self}
-                     */
-                    unbind: function ($scope, key, attr, dontForget) {
-                        var index = attr || key;
+                        return { replayed: result.replayed, dropped: result.dropped, remaining: _requests().length };
+                    }, function (reason) {
+                        replaying = null;
 
-                        $parse(index).assign($scope, null);
+                        return $q.reject(reason);
+                    });
 
-                        if(!dontForget) {
-                            this.forget(key);
-                        }
+                    return replaying;
+                };
 
-                        var watcherId = (index + $scope.$id);
-                        if (this._watchers[watcherId]) {
-                            this._watchers[watcherId]();
-                            delete this._watchers[watcherId];
-                        }
+                if ($window.addEventListener) {
+                    $window.addEventListener('online', function () {
+                        $rootScope.$apply(_replay);
+                    }, false);
+                }
 
-                        return this;
-                    },
+                return {
 
                     /**
-                     * Set the storage driver on a new instance to enable overriding defaults
+                     * Add a request to the end of the queue
                      *
-                     * @param  {String}  driver
-                     * @return {self}
+                     * @param  {Object}  config  as given to $http
+                     * @return {Object}  the queued request
                      */
-                    driver: function (driver) {
-                        return this.instance(driver, this._namespace);
+                    push: function (config) {
+                        // credentials aren't kept in storage, $http adds the current ones when replaying
+                        var omitted = queueOptions.omitHeaders.map(function (name) {
+                            return name.toLowerCase();
+                        });
+                        var headers = {};
+                        angular.forEach(config.headers, function (value, name) {
+                            if (! angular.isFunction(value) && omitted.indexOf(name.toLowerCase()) === -1) headers[name] = value;
+                        });
+
+                        var now = Date.now();
+                        var request = {
+                            id: now.toString(36) + Math.random().toString(36).slice(2, 8),
+                            config: {
+                                method: config.method,
+                                url: config.url,
+                                params: config.params,
+                                data: config.data,
+                                headers: headers,
+                                withCredentials: config.withCredentials
+                            },
+                            queuedAt: now,
+                            attempts: 0,
+                            lastAttempt: null,
+                            lastStatus: null,
+                            nextAttempt: null
+                        };
+
+                        store.put(requestsKey, _requests().concat([request]));
+                        store._event('locker.queue.queued', { request: request });
+
+                        return request;
                     },
 
                     /**
-                     * Get the currently set driver
+                     * Get the queued requests, oldest first
                      *
-                     * @return {Storage}
+                     * @return {Array}
                      */
-                    getDriver: function () {
-                        return this._driver;
+                    all: function () {
+                        return _requests();
                     },
 
                     /**
-                     * Set the namespace on a new instance to enable overriding defaults
+                     * Get the number of queued requests
                      *
-                     * @param  {String}  namespace
-                     * @return {self}
+                     * @return {Number}
                      */
-                    namespace: function (namespace) {
-                        return this.instance(this._deriveDriver(this._driver), namespace);
+                    count: function () {
+                        return _requests().length;
                     },
 
                     /**
-                     * Get the currently set namespace
+                     * Remove a request from the queue
                      *
-                     * @return {String}
+                     * @param  {String}  id
+                     * @return {void}
                      */
-                    getNamespace: function () {
-                        return this._namespace;
+                    forget: function (id) {
+                        _save({ id: id }, true);
                     },
 
                     /**
-                     * Check browser support
+                     * Remove every request from the queue
                      *
-                     * @see https://github.com/Modernizr/Modernizr/blob/master/feature-detects/storage/localstorage.js#L38-L47
-                     * @param  {String}  driver
-                     * @return {Boolean}
+                     * @return {void}
                      */
-                    supported: function (driver) {
-                        return this._checkSupport(driver);
+                    clean: function () {
+                        $timeout.cancel(timer);
+                        timer = null;
+                        store.forget(requestsKey);
                     },
 
                     /**
+                     * Replay the queued requests in order, which also happens when the browser comes back online
                      *
-                     * @param {String} key
+                     * @return {Promise}  resolves with the number of requests replayed, dropped & remaining
                      */
-                    setCryptoKey: function(key){
-                        if (!angular.isString(key) || key.length === 0 || key.replace(/\s/gm, '').length === 0) { // Check non-blank
-                            return;
-                        }
-
-                        this._cryptoKey.value = key;
-                    },
-
-                    clearWatchers: function() {
-                        for(var i in this._watchers) {
-                            this._watchers[i]();
-                        }
+                    replay: function () {
+                        return _replay();
                     },
 
                     /**
-                     * Get a new instance of Locker
+                     * Get the options used by the queue
                      *
-                     * @param  {String}  driver
-                     * @param  {String}  namespace
-                     * @return {Locker}
+                     * @return {Object}
                      */
-                    instance: function (driver, namespace) {
-                        var locker = new Locker(driver, namespace);
-                        locker.setCryptoKey(this._cryptoKey.value);
-                        return  locker;
+                    getOptions: function () {
+                        return queueOptions;
                     }
                 };
-
-                // return the default instance
-                return new Locker(defaults.driver, defaults.namespace);
             }]
         };
 
-    });
+    })
+
+    /**
+     * Queue the mutating requests that failed without a response (e.g. while offline),
+     * once added via $httpProvider.interceptors.push('lockerQueueInterceptor')
+     */
+    .factory('lockerQueueInterceptor', ['$injector', '$q', function ($injector, $q) {
+        return {
+            responseError: function (rejection) {
+                var config = rejection.config;
+
+                // lockerQueue depends on $http, so it can't be injected up front
+                var queue = $injector.get('lockerQueue');
+
+                // requests cancelled via config.timeout were meant to be, and those that timed out may well have
+                // reached the server already, so only those that couldn't get through at all are queued
+                var unsent = rejection.status <= 0 && ['abort', 'timeout'].indexOf(rejection.xhrStatus) === -1;
+
+                if (config && config.lockerQueue !== false && unsent &&
+                    queue.getOptions().methods.indexOf(String(config.method).toUpperCase()) !== -1) {
+                    queue.push(config);
+                }
+
+                return $q.reject(rejection);
+            }
+        };
+    }]);
 
 });
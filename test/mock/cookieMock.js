@@ -0,0 +1,36 @@
+'use strict';
+
+function cookieMock() {
+    var jar = {};
+    var attributes = {};
+
+    return Object.defineProperties({}, {
+        cookie: {
+            get: function () {
+                return Object.keys(jar).map(function (name) {
+                    return name + '=' + jar[name];
+                }).join('; ');
+            },
+            set: function (cookie) {
+                var parts = cookie.split(/;\s*/);
+                var index = parts[0].indexOf('=');
+                var name = parts[0].slice(0, index);
+
+                if (/max-age=0(;|$)/.test(cookie)) {
+                    delete jar[name];
+                    delete attributes[name];
+                } else {
+                    jar[name] = parts[0].slice(index + 1);
+                    attributes[name] = parts.slice(1);
+                }
+            },
+            enumerable: true
+        },
+        attributes: {
+            value: attributes
+        },
+        jar: {
+            value: jar
+        }
+    });
+}
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * A stand-in for window.crypto, for the browsers the specs run in without WebCrypto. It is not
+ * AES-GCM, but it round trips, scrambles the plaintext and fails to decrypt with the wrong key
+ */
+function cryptoMock() {
+    var tagLength = 16;
+
+    // resolves (or rejects) as soon as $q asks, as the specs digest rather than wait
+    var thenable = function (fn) {
+        return {
+            then: function (resolve, reject) {
+                var result;
+                try {
+                    result = fn();
+                } catch (e) {
+                    return reject(e);
+                }
+
+                return resolve(result);
+            }
+        };
+    };
+
+    var bytes = function (buffer) {
+        return Array.prototype.slice.call(new Uint8Array(buffer));
+    };
+
+    var stream = function (key, iv, index) {
+        return (key.secret[index % key.secret.length] + key.salt[index % key.salt.length] + iv[index % iv.length] + index) % 256;
+    };
+
+    var tag = function (key) {
+        var result = [];
+        for (var i = 0; i < tagLength; i++) {
+            result.push(stream(key, [i], i * 7));
+        }
+
+        return result;
+    };
+
+    return {
+        getRandomValues: function (array) {
+            for (var i = 0; i < array.length; i++) {
+                array[i] = Math.floor(Math.random() * 256);
+            }
+
+            return array;
+        },
+        subtle: {
+            importKey: function (format, secret) {
+                return thenable(function () {
+                    return { secret: bytes(secret).length ? bytes(secret) : [0] };
+                });
+            },
+            deriveKey: function (params, baseKey) {
+                return thenable(function () {
+                    return { secret: baseKey.secret, salt: bytes(params.salt) };
+                });
+            },
+            encrypt: function (params, key, plaintext) {
+                return thenable(function () {
+                    var iv = bytes(params.iv);
+                    var data = bytes(plaintext).map(function (byte, i) {
+                        return (byte + stream(key, iv, i)) % 256;
+                    });
+
+                    return new Uint8Array(data.concat(tag(key))).buffer;
+                });
+            },
+            decrypt: function (params, key, ciphertext) {
+                return thenable(function () {
+                    var iv = bytes(params.iv);
+                    var data = bytes(ciphertext);
+
+                    if (data.splice(-tagLength).join() !== tag(key).join()) throw new Error('The operation failed for an operation-specific reason');
+
+                    return new Uint8Array(data.map(function (byte, i) {
+                        return (byte - stream(key, iv, i) + 256) % 256;
+                    })).buffer;
+                });
+            }
+        }
+    };
+}
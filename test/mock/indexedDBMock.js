@@ -0,0 +1,129 @@
+'use strict';
+
+function indexedDBMock() {
+    var queue = [];
+    var stores = {};
+    var db = null;
+
+    var defer = function (fn) {
+        queue.push(fn);
+    };
+
+    var transaction = function (name) {
+        var tx = {};
+        var pending = 0;
+        var completed = false;
+        var data = stores[name];
+
+        var complete = function () {
+            if (pending || completed) return;
+            completed = true;
+            defer(function () {
+                if (tx.oncomplete) tx.oncomplete();
+            });
+        };
+
+        var request = function (fn) {
+            var req = {};
+            pending++;
+            defer(function () {
+                req.result = fn(req);
+                if (req.onsuccess) req.onsuccess({ target: req });
+                pending--;
+                complete();
+            });
+
+            return req;
+        };
+
+        var cursor = function (req, keys, index) {
+            if (index >= keys.length) return null;
+
+            return {
+                key: keys[index],
+                value: data[keys[index]],
+                continue: function () {
+                    pending++;
+                    defer(function () {
+                        req.result = cursor(req, keys, index + 1);
+                        if (req.onsuccess) req.onsuccess({ target: req });
+                        pending--;
+                        complete();
+                    });
+                }
+            };
+        };
+
+        tx.objectStore = function () {
+            return {
+                get: function (key) {
+                    return request(function () {
+                        return data[key];
+                    });
+                },
+                put: function (value, key) {
+                    return request(function () {
+                        data[key] = value;
+                        return key;
+                    });
+                },
+                delete: function (key) {
+                    return request(function () {
+                        delete data[key];
+                    });
+                },
+                openCursor: function (range) {
+                    return request(function (req) {
+                        var keys = Object.keys(data).sort().filter(function (key) {
+                            return ! range || (key >= range.lower && key <= range.upper);
+                        });
+
+                        return cursor(req, keys, 0);
+                    });
+                }
+            };
+        };
+
+        defer(complete);
+
+        return tx;
+    };
+
+    return {
+        indexedDB: {
+            open: function () {
+                var req = {};
+                defer(function () {
+                    if (! db) {
+                        db = {
+                            createObjectStore: function (name) {
+                                stores[name] = {};
+                            },
+                            transaction: transaction
+                        };
+                        req.result = db;
+                        if (req.onupgradeneeded) req.onupgradeneeded();
+                    }
+                    req.result = db;
+                    if (req.onsuccess) req.onsuccess();
+                });
+
+                return req;
+            }
+        },
+        IDBKeyRange: {
+            bound: function (lower, upper) {
+                return { lower: lower, upper: upper };
+            }
+        },
+        stores: stores,
+        flush: function () {
+            while (queue.length) {
+                queue.shift()();
+            }
+        },
+        pending: function () {
+            return queue.length > 0;
+        }
+    };
+}
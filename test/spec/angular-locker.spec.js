@@ -97,6 +97,81 @@ describe('angular-locker', function () {
                 locker.driver('foo');
             }).toThrowError();
         }));
+
+        describe('registering custom drivers', function () {
+
+            it('should register a Storage-like object as a driver', function () {
+                var custom = storageMock();
+
+                module(function (lockerProvider) {
+                    lockerProvider.registerDriver('custom', custom);
+                });
+
+                inject(function (locker) {
+                    var customLocker = locker.driver('custom');
+                    customLocker.put('foo', 'bar');
+
+                    expect( customLocker.getDriver() ).toBe(custom);
+                    expect( customLocker.get('foo') ).toEqual('bar');
+                    expect( customLocker.all() ).toEqual({ foo: 'bar' });
+                    expect( customLocker.supported() ).toBeTruthy();
+                    expect( locker.has('foo') ).toBeFalsy();
+                    expect( locker.supported('custom') ).toBeTruthy();
+                });
+            });
+
+            it('should register an injectable factory as a driver', function () {
+                var custom = storageMock();
+
+                module(function ($provide, lockerProvider) {
+                    $provide.value('customStorage', custom);
+                    lockerProvider.registerDriver('custom', ['customStorage', function (customStorage) {
+                        return customStorage;
+                    }]);
+                });
+
+                inject(function (locker) {
+                    locker.driver('custom').put('foo', 'bar');
+
+                    expect( custom['locker.foo'] ).toEqual('"bar"');
+                });
+            });
+
+            it('should use a custom driver as the default driver', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.registerDriver('custom', storageMock()).setDefaultDriver('custom');
+                });
+
+                inject(function (locker, $rootScope) {
+                    spyOn($rootScope, '$emit');
+
+                    locker.namespace('other').put('foo', 'bar');
+
+                    expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.added', {
+                        key: 'foo',
+                        value: 'bar',
+                        driver: 'custom',
+                        namespace: 'other'
+                    });
+                });
+            });
+
+            it('should throw an error if a driver does not implement the Storage interface', function () {
+                module(function (lockerProvider) {
+                    expect(function () {
+                        lockerProvider.registerDriver('custom', { getItem: angular.noop });
+                    }).toThrowError();
+
+                    lockerProvider.registerDriver('factory', function () {
+                        return {};
+                    });
+                });
+
+                expect(function () {
+                    inject(function (locker) {});
+                }).toThrowError();
+            });
+        });
     });
 
     describe('lockerService', function () {
@@ -110,6 +185,15 @@ describe('angular-locker', function () {
                 expect( locker.get('someKey') ).toEqual(str);
             }));
 
+            it('should not mistake an object that looks like an envelope for one', inject(function (locker) {
+                var obj = { _locker: { a: 1 }, value: 2 };
+                locker.put('someKey', obj);
+                locker.put('otherKey', { _locker: { expires: 1 }, value: 'foo' });
+
+                expect( locker.get('someKey') ).toEqual(obj);
+                expect( locker.get('otherKey') ).toEqual({ _locker: { expires: 1 }, value: 'foo' });
+            }));
+
             it('should put a boolean into the locker', inject(function (locker) {
                 locker.put('someKey', false);
                 locker.put('someKey1', true);
@@ -604,6 +688,84 @@ describe('angular-locker', function () {
 
         });
 
+        describe('expiring items', function () {
+
+            it('should return items that have not expired yet', inject(function (locker) {
+                locker.put('token', 'abc123', { ttl: 3600 });
+
+                expect( locker.has('token') ).toBeTruthy();
+                expect( locker.get('token') ).toEqual('abc123');
+            }));
+
+            it('should treat items as missing once their ttl has passed', inject(function ($window, locker) {
+                var now = Date.now();
+                spyOn(Date, 'now').and.returnValue(now);
+
+                locker.put('token', 'abc123', { ttl: 60 });
+                locker.put('other', 'foo');
+
+                Date.now.and.returnValue(now + 61000);
+
+                expect( locker.has('token') ).toBeFalsy();
+                expect( locker.get('token', 'expired') ).toEqual('expired');
+                expect( locker.all() ).toEqual({ other: 'foo' });
+                expect( locker.count() ).toEqual(1);
+                expect( $window.localStorage['locker.token'] ).not.toBeDefined();
+            }));
+
+            it('should expire items at an absolute date', inject(function (locker) {
+                locker.put('past', 'foo', { expires: new Date(Date.now() - 1000) });
+                locker.put('future', 'bar', { expires: new Date(Date.now() + 60000) });
+
+                expect( locker.get('past') ).not.toBeDefined();
+                expect( locker.get('future') ).toEqual('bar');
+            }));
+
+            it('should accept the expiry date as a date string', inject(function (locker) {
+                locker.put('past', 'foo', { expires: '2020-01-01T00:00:00Z' });
+                locker.put('future', 'bar', { expires: new Date(Date.now() + 60000).toISOString() });
+
+                expect( locker.get('past') ).not.toBeDefined();
+                expect( locker.get('future') ).toEqual('bar');
+            }));
+
+            it('should throw an error when the expiry is not a valid date', inject(function (locker) {
+                expect(function () {
+                    locker.put('foo', 'bar', { expires: 'next tuesday' });
+                }).toThrowError(/not valid/);
+
+                expect(function () {
+                    locker.put('foo', 'bar', { ttl: 'an hour' });
+                }).toThrowError(/not valid/);
+
+                expect( locker.has('foo') ).toBeFalsy();
+            }));
+
+            it('should only set an expiry when adding an item that does not exist', inject(function (locker) {
+                locker.add('foo', 'bar', { expires: Date.now() - 1000 });
+
+                expect( locker.has('foo') ).toBeFalsy();
+                expect( locker.add('foo', 'baz', { ttl: 60 }) ).toBeTruthy();
+                expect( locker.get('foo') ).toEqual('baz');
+            }));
+
+            it('should trigger expired event when an expired item is accessed', inject(function (locker, $rootScope) {
+                locker.put('foo', 'bar', { expires: Date.now() - 1000 });
+
+                spyOn($rootScope, '$emit');
+
+                locker.get('foo');
+
+                expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.expired', {
+                    key: 'foo',
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+                expect($rootScope.$emit.calls.count()).toEqual(1);
+            }));
+
+        });
+
         describe('checking browser support', function () {
 
             it('should bind a variable to the scope', inject(function (locker, $rootScope) {
@@ -675,18 +837,2645 @@ describe('angular-locker', function () {
 
         });
 
-        describe('misc', function () {
+        describe('falling back to memory', function () {
 
-            it('should get the currently set namespace', inject(function (locker) {
-                expect( locker.getNamespace() ).toEqual('locker');
-                expect( locker.namespace('foo').getNamespace() ).toEqual('foo');
+            var unsupported = function () {
+                var storage = storageMock();
+                storage.setItem = function () {
+                    throw new Error('SecurityError');
+                };
+
+                return storage;
+            };
+
+            it('should store items in memory via the memory driver', inject(function (locker) {
+                var memory = locker.driver('memory');
+                memory.put('foo', ['bar']);
+
+                expect( memory.get('foo') ).toEqual(['bar']);
+                expect( memory.count() ).toEqual(1);
+                expect( locker.driver('memory').get('foo') ).toEqual(['bar']);
+                expect( locker.has('foo') ).toBeFalsy();
             }));
 
-            it('should get the currently set driver', inject(function ($window, locker) {
-                expect( locker.getDriver() ).toEqual($window.localStorage);
-                expect( locker.driver('session').getDriver() ).toEqual($window.sessionStorage);
+            it('should fall back to the memory driver when the driver is not supported', function () {
+                module(function ($provide, lockerProvider) {
+                    $provide.value('$window', { localStorage: unsupported(), sessionStorage: storageMock() });
+                    lockerProvider.setFallbackDriver('memory');
+                });
+
+                inject(function (locker) {
+                    locker.put('foo', 'bar');
+
+                    expect( locker.get('foo') ).toEqual('bar');
+                    expect( locker.getDriver() ).toBe(locker.driver('memory').getDriver());
+                    expect( locker.driver('session').get('foo') ).not.toBeDefined();
+                });
+            });
+
+            it('should trigger fallback event once per driver', function () {
+                module(function ($provide, lockerProvider) {
+                    $provide.value('$window', { localStorage: unsupported(), sessionStorage: storageMock() });
+                    lockerProvider.setFallbackDriver('memory').setDefaultDriver('session');
+                });
+
+                inject(function (locker, $rootScope) {
+                    spyOn($rootScope, '$emit');
+
+                    locker.driver('local');
+                    locker.driver('local').namespace('foo');
+
+                    expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.fallback', {
+                        from: 'local',
+                        driver: 'memory',
+                        namespace: 'locker'
+                    });
+                    expect($rootScope.$emit.calls.count()).toEqual(1);
+                });
+            });
+
+            it('should not fall back unless a fallback driver is set', function () {
+                module(function ($provide) {
+                    $provide.value('$window', { localStorage: unsupported(), sessionStorage: storageMock() });
+                });
+
+                inject(function (locker) {
+                    expect(function () {
+                        locker.put('foo', 'bar');
+                    }).toThrowError();
+                });
+            });
+
+        });
+
+        describe('migrating stored data', function () {
+
+            var populated = function () {
+                var storage = storageMock();
+                storage.setItem('locker.user', JSON.stringify({ name: 'Bob Smith' }));
+                storage.setItem('other.user', JSON.stringify({ name: 'Jane Doe' }));
+
+                return storage;
+            };
+
+            var split = function (locker) {
+                var user = locker.get('user');
+                if (! user) return;
+                var names = user.name.split(' ');
+                locker.put('user', { first: names[0], last: names[1] });
+            };
+
+            it('should run the migrations in order against each namespace', function () {
+                var calls = [];
+
+                module(function ($provide, lockerProvider) {
+                    $provide.value('$window', { localStorage: populated(), sessionStorage: storageMock() });
+                    lockerProvider.setVersion(2)
+                        .setMigrationNamespaces(['other'])
+                        .addMigration(1, function (locker) {
+                            calls.push('1:' + locker.getNamespace());
+                            var user = locker.get('user');
+                            if (user) locker.put('user', angular.extend(user, { migrated: true }));
+                        })
+                        .addMigration(0, function (locker) {
+                            calls.push('0:' + locker.getNamespace());
+                            split(locker);
+                        });
+                });
+
+                inject(function (locker) {
+                    expect( locker.get('user') ).toEqual({ first: 'Bob', last: 'Smith', migrated: true });
+                    expect( locker.namespace('other').get('user') ).toEqual({ first: 'Jane', last: 'Doe', migrated: true });
+                    expect( calls ).toEqual(['0:locker', '1:locker', '0:other', '1:other']);
+                    expect( locker.get('__locker_version') ).toEqual(2);
+                    expect( locker.all() ).toEqual({ user: { first: 'Bob', last: 'Smith', migrated: true } });
+                    expect( locker.count() ).toEqual(1);
+                });
+            });
+
+            it('should only run the migrations newer than the recorded version', function () {
+                var storage = populated();
+                storage.setItem('locker.__locker_version', '1');
+                var migration = jasmine.createSpy('migration');
+
+                module(function ($provide, lockerProvider) {
+                    $provide.value('$window', { localStorage: storage, sessionStorage: storageMock() });
+                    lockerProvider.setVersion(2).setMigrationNamespaces(['other']).addMigration(0, split).addMigration(1, migration);
+                });
+
+                inject(function (locker) {
+                    expect( locker.get('user') ).toEqual({ name: 'Bob Smith' });
+                    expect( locker.namespace('other').get('user') ).toEqual({ first: 'Jane', last: 'Doe' });
+                    expect( migration.calls.count() ).toEqual(2);
+                });
+            });
+
+            it('should leave the data untouched and trigger an event when a migration fails', function () {
+                var error = new Error('nope');
+
+                module(function ($provide, lockerProvider) {
+                    $provide.value('$window', { localStorage: populated(), sessionStorage: storageMock() });
+                    lockerProvider.setVersion(2)
+                        .setMigrationNamespaces(['other'])
+                        .addMigration(0, function (locker) {
+                            split(locker);
+                            locker.put('extra', 'value');
+                        })
+                        .addMigration(1, function (locker) {
+                            if (locker.getNamespace() === 'locker') throw error;
+                        });
+                });
+
+                inject(function ($rootScope, $injector) {
+                    spyOn($rootScope, '$emit').and.callThrough();
+
+                    var locker = $injector.get('locker');
+
+                    expect( locker.get('user') ).toEqual({ name: 'Bob Smith' });
+                    expect( locker.has('extra') ).toBeFalsy();
+                    expect( locker.has('__locker_version') ).toBeFalsy();
+                    expect( locker.namespace('other').get('user') ).toEqual({ first: 'Jane', last: 'Doe' });
+                    expect( locker.namespace('other').get('__locker_version') ).toEqual(2);
+                    expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.migration.failed', {
+                        from: 0,
+                        to: 2,
+                        error: error,
+                        driver: 'local',
+                        namespace: 'locker'
+                    });
+                });
+            });
+
+            it('should only migrate the namespaces known to belong to locker', function () {
+                var storage = populated();
+                storage.setItem('some.lib.setting', 'on');
+                storage.setItem('versioned.__locker_version', '1');
+                storage.setItem('versioned.user', JSON.stringify({ name: 'Sam Jones' }));
+                var namespaces = [];
+
+                module(function ($provide, lockerProvider) {
+                    $provide.value('$window', { localStorage: storage, sessionStorage: storageMock() });
+                    lockerProvider.setVersion(2).addMigration(1, function (locker) {
+                        namespaces.push(locker.getNamespace());
+                    });
+                });
+
+                inject(function ($rootScope, $injector) {
+                    spyOn($rootScope, '$emit').and.callThrough();
+                    $injector.get('locker');
+
+                    expect( namespaces ).toEqual(['locker', 'versioned']);
+                    expect( storage.getItem('some.__locker_version') ).toBeFalsy();
+                    expect( storage.getItem('other.__locker_version') ).toBeFalsy();
+                    expect( storage.getItem('locker.__locker_version') ).toEqual('2');
+                    expect( storage.getItem('versioned.__locker_version') ).toEqual('2');
+                    expect( $rootScope.$emit ).not.toHaveBeenCalledWith('locker.item.added', jasmine.any(Object));
+                });
+            });
+
+            it('should record the version against the namespaces written to', function () {
+                var storage = storageMock();
+
+                module(function ($provide, lockerProvider) {
+                    $provide.value('$window', { localStorage: storage, sessionStorage: storageMock() });
+                    lockerProvider.setVersion(3);
+                });
+
+                inject(function (locker) {
+                    locker.namespace('settings').put('theme', 'dark');
+
+                    expect( storage.getItem('settings.__locker_version') ).toEqual('3');
+                });
+            });
+
+            it('should not migrate anything without a version', function () {
+                var migration = jasmine.createSpy('migration');
+
+                module(function (lockerProvider) {
+                    lockerProvider.addMigration(0, migration);
+                });
+
+                inject(function (locker) {
+                    expect( migration ).not.toHaveBeenCalled();
+                    expect( locker.has('__locker_version') ).toBeFalsy();
+                });
+            });
+
+            it('should throw an error when the version or migration is invalid', function () {
+                module(function (lockerProvider) {
+                    expect(function () {
+                        lockerProvider.setVersion(-1);
+                    }).toThrowError();
+                    expect(function () {
+                        lockerProvider.addMigration(0, 'nope');
+                    }).toThrowError();
+                });
+                inject();
+            });
+
+        });
+
+        describe('evicting items', function () {
+
+            var limited = function (limit) {
+                var storage = storageMock();
+                var setItem = storage.setItem;
+
+                storage.setItem = function (key, value) {
+                    var counted = function (k) {
+                        return k.indexOf('.') !== -1 && k.indexOf('__locker_') === -1;
+                    };
+                    var items = Object.keys(storage).filter(counted);
+                    if (counted(key) && items.indexOf(key) === -1 && items.length >= limit) {
+                        var error = new Error();
+                        error.name = 'QuotaExceededError';
+                        throw error;
+                    }
+
+                    setItem(key, value);
+                };
+
+                return storage;
+            };
+
+            beforeEach(module(function ($provide) {
+                $provide.value('$window', { localStorage: limited(3), sessionStorage: storageMock() });
             }));
+
+            it('should only write the access times when writing items', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setEvictionPolicy('locker', 'lru');
+                });
+
+                inject(function ($window, locker) {
+                    locker.put('a', 1).put('b', 2);
+
+                    spyOn($window.localStorage, 'setItem').and.callThrough();
+                    locker.all();
+                    locker.get('a');
+                    expect( $window.localStorage.setItem ).not.toHaveBeenCalled();
+
+                    locker.put('c', 3);
+                    expect( $window.localStorage.setItem.calls.count() ).toEqual(2);
+                    expect( Object.keys(JSON.parse($window.localStorage['locker.__locker_access'])) ).toEqual(['b', 'a', 'c']);
+                });
+            });
+
+            it('should evict the least recently used item when the quota is exceeded', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setEvictionPolicy('locker', 'lru');
+                });
+
+                inject(function (locker, $rootScope) {
+                    locker.put('a', 1).put('b', 2).put('c', 3);
+                    locker.get('a');
+
+                    spyOn($rootScope, '$emit');
+                    locker.put('d', 4);
+
+                    expect( locker.has('b') ).toBeFalsy();
+                    expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.item.evicted', {
+                        key: 'b',
+                        driver: 'local',
+                        namespace: 'locker'
+                    });
+
+                    locker.put('e', 5);
+                    expect( locker.all() ).toEqual({ a: 1, d: 4, e: 5 });
+                });
+            });
+
+            it('should not evict pinned items', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setEvictionPolicy('locker', { policy: 'lru', pinned: ['b'] });
+                });
+
+                inject(function (locker) {
+                    locker.put('a', 1, { pinned: true }).put('b', 2).put('c', 3);
+                    locker.put('d', 4);
+
+                    expect( locker.all() ).toEqual({ a: 1, b: 2, d: 4 });
+
+                    locker.forget('d').put('d', 4);
+                    locker.put('e', 5);
+
+                    expect( locker.all() ).toEqual({ a: 1, b: 2, e: 5 });
+                });
+            });
+
+            it('should throw an error when nothing can be evicted', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setEvictionPolicy('locker', 'lru');
+                });
+
+                inject(function (locker) {
+                    locker.put('a', 1, { pinned: true }).put('b', 2, { pinned: true }).put('c', 3, { pinned: true });
+
+                    expect(function () {
+                        locker.put('d', 4);
+                    }).toThrowError(/quota/);
+                });
+            });
+
+            it('should only evict items from namespaces with a policy', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setEvictionPolicy('cache', 'lru');
+                });
+
+                inject(function (locker) {
+                    locker.put('a', 1).put('b', 2);
+                    locker.namespace('cache').put('a', 1);
+
+                    expect(function () {
+                        locker.put('c', 3);
+                    }).toThrowError(/quota/);
+
+                    locker.namespace('cache').put('b', 2);
+
+                    expect( locker.all() ).toEqual({ a: 1, b: 2 });
+                    expect( locker.namespace('cache').all() ).toEqual({ b: 2 });
+                });
+            });
+
+            it('should throw an error when the policy is not supported', function () {
+                module(function (lockerProvider) {
+                    expect(function () {
+                        lockerProvider.setEvictionPolicy('locker', 'fifo');
+                    }).toThrowError();
+                    expect( lockerProvider.getEvictionPolicy('locker') ).toBeNull();
+                });
+                inject();
+            });
+
         });
 
+        describe('measuring storage usage', function () {
+
+            var limited = function (limit) {
+                var storage = storageMock();
+                var setItem = storage.setItem;
+
+                storage.setItem = function (key, value) {
+                    var used = Object.keys(storage).reduce(function (total, k) {
+                        return k === key ? total : total + k.length + storage[k].length;
+                    }, 0);
+                    if (used + key.length + value.length > limit) {
+                        var error = new Error();
+                        error.name = 'QuotaExceededError';
+                        throw error;
+                    }
+
+                    setItem(key, value);
+                };
+
+                return storage;
+            };
+
+            it('should return the size of an item in bytes', inject(function (locker) {
+                locker.put('foo', 'bar');
+
+                expect( locker.size('foo') ).toEqual(('locker.foo' + '"bar"').length * 2);
+                expect( locker.size('baz') ).toEqual(0);
+            }));
+
+            it('should return the size of the current namespace in bytes', inject(function (locker) {
+                locker.put('foo', 'bar').put('baz', [1, 2]);
+                locker.namespace('other').put('foo', 'bar');
+
+                expect( locker.size() ).toEqual(locker.size('foo') + locker.size('baz'));
+                expect( locker.namespace('other').size() ).toEqual(locker.namespace('other').size('foo'));
+                expect( locker.namespace('empty').size() ).toEqual(0);
+            }));
+
+            it('should break down usage by driver and namespace, probing for the remaining quota', function () {
+                module(function ($provide) {
+                    $provide.value('$window', { localStorage: limited(50000), sessionStorage: storageMock() });
+                });
+
+                inject(function (locker, $rootScope) {
+                    locker.put('foo', 'bar');
+                    locker.namespace('other').put('foo', 'bar');
+                    locker.driver('session').put('foo', 'bar');
+
+                    var usage;
+                    locker.usage().then(function (result) {
+                        usage = result;
+                    });
+                    $rootScope.$digest();
+
+                    expect( usage.drivers.local ).toEqual({ bytes: 58, namespaces: { locker: 30, other: 28 } });
+                    expect( usage.drivers.session ).toEqual({ bytes: 30, namespaces: { locker: 30 } });
+                    expect( usage.bytes ).toEqual(88);
+                    expect( usage.estimate ).toEqual('probe');
+                    expect( usage.remaining ).toBeGreaterThan(100000 - 58 - 2048);
+                    expect( usage.remaining ).not.toBeGreaterThan(100000 - 58);
+                    expect( usage.quota ).toEqual(usage.remaining + 58);
+                    expect( locker.driver('local').has('__locker_probe') ).toBeFalsy();
+                });
+            });
+
+            it('should only probe web storage, and only once', function () {
+                var storage = limited(50000);
+
+                module(function ($provide) {
+                    $provide.value('$window', { localStorage: storage, sessionStorage: storageMock() });
+                });
+
+                inject(function (locker, $rootScope) {
+                    var results = [];
+                    var push = function (result) {
+                        results.push(result);
+                    };
+
+                    spyOn(storage, 'setItem').and.callThrough();
+                    locker.usage().then(push);
+                    $rootScope.$digest();
+
+                    var probes = storage.setItem.calls.count();
+                    expect( probes ).toBeGreaterThan(0);
+
+                    locker.put('foo', 'bar');
+                    locker.usage().then(push);
+                    locker.driver('memory').usage().then(push);
+                    $rootScope.$digest();
+
+                    expect( storage.setItem.calls.count() ).toEqual(probes + 1);
+                    expect( results[1].quota ).toEqual(results[0].quota);
+                    expect( results[1].remaining ).toEqual(results[0].remaining - locker.size('foo'));
+                    expect( results[2].quota ).toBe(null);
+                    expect( results[2].remaining ).toBe(null);
+                    expect( results[2].estimate ).toBe(null);
+                    expect( results[2].origin ).toBe(null);
+                });
+            });
+
+            it('should report the quota of the whole origin via the StorageManager when available', function () {
+                module(function ($provide) {
+                    $provide.value('$window', {
+                        localStorage: limited(50000),
+                        sessionStorage: storageMock(),
+                        navigator: {
+                            storage: {
+                                estimate: function () {
+                                    return { then: function (resolve) { resolve({ quota: 1000, usage: 400 }); } };
+                                }
+                            }
+                        }
+                    });
+                });
+
+                inject(function (locker, $rootScope) {
+                    var usage;
+                    locker.usage().then(function (result) {
+                        usage = result;
+                    });
+                    $rootScope.$digest();
+
+                    expect( usage.estimate ).toEqual('probe');
+                    expect( usage.quota ).toBeGreaterThan(100000 - 2048);
+                    expect( usage.quota ).not.toBeGreaterThan(100000);
+                    expect( usage.origin ).toEqual({ quota: 1000, usage: 400 });
+                });
+            });
+
+        });
+
+        describe('compressing items', function () {
+
+            var table = [];
+            for (var i = 0; i < 200; i++) {
+                table.push({ id: i, label: 'Item number ' + i, tags: ['one', 'two', 'ünïcödé'] });
+            }
+
+            var raw = function ($window, key) {
+                return JSON.parse($window.localStorage.getItem(key));
+            };
+
+            it('should compress an item when asked to', inject(function ($window, locker) {
+                locker.put('table', table, { compressed: true });
+
+                var stored = raw($window, 'locker.table');
+                expect( stored._locker.compressed ).toEqual('lz');
+                expect( stored.value.length ).toBeLessThan(JSON.stringify(table).length / 4);
+                expect( locker.get('table') ).toEqual(table);
+                expect( locker.all() ).toEqual({ table: table });
+            }));
+
+            it('should compress every item within a namespace set to be compressed', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setCompression('cache', true);
+                    expect( lockerProvider.getCompression('cache') ).toBeTruthy();
+                    expect( lockerProvider.getCompression('locker') ).toBeFalsy();
+                });
+
+                inject(function ($window, locker) {
+                    locker.namespace('cache').put('table', table).put('other', table, { compressed: false });
+                    locker.put('table', table);
+
+                    expect( raw($window, 'cache.table')._locker.compressed ).toEqual('lz');
+                    expect( $window.localStorage.getItem('cache.other') ).toEqual(JSON.stringify(table));
+                    expect( $window.localStorage.getItem('locker.table') ).toEqual(JSON.stringify(table));
+                    expect( locker.namespace('cache').get('table') ).toEqual(table);
+                });
+            });
+
+            it('should still read items that were not compressed', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setCompression('locker', true);
+                });
+
+                inject(function ($window, locker) {
+                    $window.localStorage.setItem('locker.legacy', JSON.stringify(table));
+
+                    expect( locker.get('legacy') ).toEqual(table);
+                });
+            });
+
+            it('should not compress values that would not shrink', inject(function ($window, locker) {
+                locker.put('foo', 'bar', { compressed: true });
+
+                expect( $window.localStorage.getItem('locker.foo') ).toEqual('"bar"');
+                expect( locker.get('foo') ).toEqual('bar');
+            }));
+
+            it('should compress items before encrypting them', inject(function ($window, locker) {
+                locker.setCryptoKey('secret');
+                locker.put('table', table, { compressed: true, encrypted: true });
+
+                var stored = raw($window, 'locker.table');
+                expect( stored._locker ).toEqual({ compressed: 'lz', enc: 'sjcl' });
+                expect( locker.get('table') ).toEqual(table);
+            }));
+
+        });
+
+        describe('reading and writing paths within items', function () {
+
+            var user = { name: 'Bob', profile: { theme: 'light', address: { city: 'London' } }, tags: ['a', 'b'] };
+
+            it('should get the value at a path within an item', inject(function (locker) {
+                locker.put('user', user);
+
+                expect( locker.get('user', undefined, { path: 'profile.address.city' }) ).toEqual('London');
+                expect( locker.get('user', undefined, { path: 'tags[1]' }) ).toEqual('b');
+                expect( locker.get('user', undefined, { path: 'profile.missing' }) ).not.toBeDefined();
+                expect( locker.get('user', 'Paris', { path: 'profile.missing.city' }) ).toEqual('Paris');
+                expect( locker.get('nobody', 'Paris', { path: 'profile.address.city' }) ).toEqual('Paris');
+                expect( locker.get(['user', 'nobody'], null, { path: 'name' }) ).toEqual({ user: 'Bob' });
+            }));
+
+            it('should keep the metadata of the item when setting a path', inject(function ($window, locker) {
+                var now = Date.now();
+                spyOn(Date, 'now').and.returnValue(now);
+                locker.setCryptoKey('secret');
+
+                locker.put('user', { name: 'a', card: '4111' }, { encrypted: true, ttl: 60, pinned: true, compressed: true });
+                locker.put('user', 'dark', { path: 'profile.theme' });
+
+                var meta = JSON.parse($window.localStorage['locker.user'])._locker;
+                expect( $window.localStorage['locker.user'] ).not.toContain('4111');
+                expect( meta.enc ).toEqual('sjcl');
+                expect( meta.expires ).toEqual(now + 60000);
+                expect( meta.pinned ).toBeTruthy();
+                expect( locker.get('user') ).toEqual({ name: 'a', card: '4111', profile: { theme: 'dark' } });
+
+                locker.put('user', 'light', { path: 'profile.theme', ttl: 120 });
+                expect( JSON.parse($window.localStorage['locker.user'])._locker.expires ).toEqual(now + 120000);
+            }));
+
+            it('should always treat objects passed as the default value as such', inject(function (locker) {
+                expect( locker.get('route', { path: '/', name: 'home' }) ).toEqual({ path: '/', name: 'home' });
+                expect( locker.get('route', { path: '/home' }) ).toEqual({ path: '/home' });
+                expect( locker.get('route', { path: 'home' }) ).toEqual({ path: 'home' });
+                expect( locker.get('route', { validate: true }) ).toEqual({ validate: true });
+                expect( locker.get('route', { path: '/' }, {}) ).toEqual({ path: '/' });
+            }));
+
+            it('should put a value at a path within an item', inject(function ($rootScope, locker) {
+                locker.put('user', user);
+
+                spyOn($rootScope, '$emit');
+                locker.put('user', 'dark', { path: 'profile.theme' });
+
+                var updated = angular.copy(user);
+                updated.profile.theme = 'dark';
+
+                expect( locker.get('user') ).toEqual(updated);
+                expect( user.profile.theme ).toEqual('light');
+                expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.item.updated', {
+                    key: 'user',
+                    path: 'profile.theme',
+                    oldValue: user,
+                    newValue: updated,
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+            }));
+
+            it('should create the item and any objects along the path', inject(function ($rootScope, locker) {
+                spyOn($rootScope, '$emit');
+                locker.put('settings', 14, { path: 'editor.font.size' });
+
+                expect( locker.get('settings') ).toEqual({ editor: { font: { size: 14 } } });
+                expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.item.added', {
+                    key: 'settings',
+                    path: 'editor.font.size',
+                    value: { editor: { font: { size: 14 } } },
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+            }));
+
+            it('should pass the current value at the path to a value function', inject(function (locker) {
+                locker.put('counter', { clicks: { total: 1 } });
+                locker.put('counter', function (current) {
+                    return current + 1;
+                }, { path: 'clicks.total' });
+
+                expect( locker.get('counter', undefined, { path: 'clicks.total' }) ).toEqual(2);
+            }));
+
+            it('should throw an error when the item is not an object', inject(function (locker) {
+                locker.put('foo', 'bar');
+
+                expect(function () {
+                    locker.put('foo', 'baz', { path: 'some.path' });
+                }).toThrowError(/not an object/);
+            }));
+
+        });
+
+        describe('querying keys', function () {
+
+            beforeEach(inject(function (locker) {
+                locker.put({ 'cart.apples': 3, 'cart.pears': 1, 'draft-1': 'a', 'draft-2': 'b', 'wishlist': [] });
+                locker.namespace('other').put('cart.plums', 2);
+            }));
+
+            it('should return the keys within the current namespace', inject(function (locker) {
+                expect( locker.keys().sort() ).toEqual(['cart.apples', 'cart.pears', 'draft-1', 'draft-2', 'wishlist']);
+                expect( locker.namespace('other').keys() ).toEqual(['cart.plums']);
+                expect( locker.namespace('empty').keys() ).toEqual([]);
+            }));
+
+            it('should return the keys matching a glob or RegExp', inject(function (locker) {
+                expect( locker.keys('cart.*').sort() ).toEqual(['cart.apples', 'cart.pears']);
+                expect( locker.keys('*-2') ).toEqual(['draft-2']);
+                expect( locker.keys('cart.').length ).toEqual(0);
+                expect( locker.keys('wishlist') ).toEqual(['wishlist']);
+                expect( locker.keys(/^draft-/).sort() ).toEqual(['draft-1', 'draft-2']);
+                expect( locker.keys(/^draft-/g).length ).toEqual(2);
+                expect( locker.keys({ glob: 'cart.*' }).sort() ).toEqual(['cart.apples', 'cart.pears']);
+                expect( locker.keys({ glob: 'wishlist' }) ).toEqual(['wishlist']);
+            }));
+
+            it('should get the items matching a pattern', inject(function (locker) {
+                expect( locker.get(/^cart\./) ).toEqual({ 'cart.apples': 3, 'cart.pears': 1 });
+                expect( locker.get({ glob: 'cart.*' }) ).toEqual({ 'cart.apples': 3, 'cart.pears': 1 });
+                expect( locker.get({ glob: '*-2' }) ).toEqual({ 'draft-2': 'b' });
+                expect( locker.get(/^nothing/) ).toEqual({});
+                expect( locker.get({ glob: 'nothing.*' }) ).toEqual({});
+            }));
+
+            it('should treat keys containing * as plain keys when getting and forgetting', inject(function (locker) {
+                locker.put('/search?q=a*', 'star');
+                locker.put('/search?q=ab', 'ab');
+
+                expect( locker.get('/search?q=a*') ).toEqual('star');
+
+                locker.forget('/search?q=a*');
+                expect( locker.has('/search?q=a*') ).toBeFalsy();
+                expect( locker.get('/search?q=ab') ).toEqual('ab');
+            }));
+
+            it('should forget the items matching a pattern', inject(function (locker) {
+                locker.forget(/^draft-/);
+                expect( locker.keys().sort() ).toEqual(['cart.apples', 'cart.pears', 'wishlist']);
+
+                locker.forget({ glob: 'cart.*' });
+                expect( locker.keys() ).toEqual(['wishlist']);
+                expect( locker.namespace('other').keys() ).toEqual(['cart.plums']);
+            }));
+
+        });
+
+        describe('writing items in a batch', function () {
+
+            it('should apply every staged operation and fire a single event', inject(function ($rootScope, locker) {
+                locker.put({ foo: 'bar', baz: 'qux', 'draft-1': 1, 'draft-2': 2 });
+
+                spyOn($rootScope, '$emit');
+
+                locker.batch(function (tx) {
+                    tx.put('foo', 'updated').put({ one: 1, two: 2 }).forget('baz');
+                    tx.forget({ glob: 'draft-*' }).forget('missing');
+                    tx.put('one', function (current) {
+                        return current + 10;
+                    });
+                });
+
+                expect( locker.all() ).toEqual({ foo: 'updated', one: 11, two: 2 });
+                expect( $rootScope.$emit.calls.count() ).toEqual(1);
+                expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.batch.committed', {
+                    put: { foo: 'updated', one: 11, two: 2 },
+                    forgotten: ['baz', 'draft-1', 'draft-2'],
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+            }));
+
+            it('should restore every item when an operation fails', inject(function ($window, $rootScope, locker) {
+                locker.put({ foo: 'bar', baz: 'qux' });
+
+                var setItem = $window.localStorage.setItem;
+                spyOn($window.localStorage, 'setItem').and.callFake(function (key, value) {
+                    if (key === 'locker.fails') {
+                        var error = new Error();
+                        error.name = 'QuotaExceededError';
+                        throw error;
+                    }
+
+                    setItem(key, value);
+                });
+                spyOn($rootScope, '$emit');
+
+                expect(function () {
+                    locker.batch(function (tx) {
+                        tx.put('foo', 'updated').put('new', 'item').forget('baz').put('fails', 'value');
+                    });
+                }).toThrowError(/quota/);
+
+                expect( locker.all() ).toEqual({ foo: 'bar', baz: 'qux' });
+                expect( $rootScope.$emit ).not.toHaveBeenCalled();
+
+                locker.put('after', 'batch');
+                expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.item.added', jasmine.any(Object));
+            }));
+
+            it('should not apply anything when the callback throws', inject(function (locker) {
+                expect(function () {
+                    locker.batch(function (tx) {
+                        tx.put('foo', 'bar');
+                        throw new Error('nope');
+                    });
+                }).toThrowError('nope');
+
+                expect( locker.has('foo') ).toBeFalsy();
+            }));
+
+        });
+
+        describe('listening for changes', function () {
+
+            it('should call the handler for changes to the key within the driver and namespace', inject(function (locker) {
+                var handler = jasmine.createSpy('handler');
+                locker.on('foo', 'updated', handler);
+
+                locker.put('foo', 'bar').put('foo', 'baz');
+                locker.put('other', 'a').put('other', 'b');
+                locker.namespace('elsewhere').put('foo', 'a').put('foo', 'b');
+                locker.driver('session').put('foo', 'a').put('foo', 'b');
+
+                expect( handler.calls.count() ).toEqual(1);
+                expect( handler.calls.argsFor(0)[0] ).toEqual({
+                    key: 'foo',
+                    oldValue: 'bar',
+                    newValue: 'baz',
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+            }));
+
+            it('should call the handler for changes to keys matching a pattern', inject(function (locker) {
+                var handler = jasmine.createSpy('handler');
+                locker.on('cart.*', 'locker.item.added', handler);
+                locker.on(/^draft-/, 'forgotten', handler);
+
+                locker.put('cart.apples', 1).put('cart.pears', 2).put('wishlist', []);
+                locker.put('draft-1', 'a').forget('draft-1').forget('wishlist');
+
+                expect( handler.calls.allArgs().map(function (args) {
+                    return args[0].key;
+                }) ).toEqual(['cart.apples', 'cart.pears', 'draft-1']);
+            }));
+
+            it('should call the handler for batches that include the key', inject(function (locker) {
+                var handler = jasmine.createSpy('handler');
+                locker.on('foo', 'committed', handler);
+
+                locker.batch(function (tx) {
+                    tx.put('bar', 'baz');
+                });
+                locker.batch(function (tx) {
+                    tx.put('foo', 'bar');
+                });
+
+                expect( handler.calls.count() ).toEqual(1);
+            }));
+
+            it('should stop calling the handler once deregistered', inject(function (locker) {
+                var handler = jasmine.createSpy('handler');
+                var off = locker.on('foo', 'added', handler);
+
+                off();
+                locker.put('foo', 'bar');
+
+                expect( handler ).not.toHaveBeenCalled();
+            }));
+
+            it('should fire events when cleaning and emptying', inject(function ($rootScope, locker) {
+                var cleaned = jasmine.createSpy('cleaned');
+                var emptied = jasmine.createSpy('emptied');
+                locker.put({ foo: 'bar', baz: 'qux' });
+                locker.on('foo', 'cleaned', cleaned);
+                locker.on('*', 'emptied', emptied);
+
+                spyOn($rootScope, '$emit').and.callThrough();
+                locker.clean();
+
+                expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.namespace.cleaned', {
+                    keys: ['foo', 'baz'],
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+                expect( cleaned ).toHaveBeenCalled();
+
+                locker.namespace('other').empty();
+
+                expect( $rootScope.$emit ).toHaveBeenCalledWith('locker.driver.emptied', {
+                    driver: 'local',
+                    namespace: 'other'
+                });
+                expect( emptied ).toHaveBeenCalled();
+            }));
+
+            it('should throw an error when the event type is not supported', inject(function (locker) {
+                expect(function () {
+                    locker.on('foo', 'exploded', angular.noop);
+                }).toThrowError();
+            }));
+
+        });
+
+        describe('intercepting items', function () {
+
+            it('should pass items being put through the interceptors in order', function () {
+                var contexts = [];
+
+                module(function ($provide, lockerProvider) {
+                    $provide.value('tenant', 'acme');
+                    $provide.factory('prefixInterceptor', function (tenant) {
+                        return {
+                            beforePut: function (context) {
+                                contexts.push(angular.copy(context));
+                                context.key = tenant + ':' + context.key;
+                            }
+                        };
+                    });
+                    lockerProvider.interceptors.push('prefixInterceptor');
+                    lockerProvider.interceptors.push(function () {
+                        return {
+                            beforePut: function (context) {
+                                return angular.extend({}, context, { value: context.key + '=' + context.value });
+                            }
+                        };
+                    });
+                });
+
+                inject(function (locker) {
+                    locker.put('foo', 'bar', { ttl: 60 });
+
+                    expect( locker.get('acme:foo') ).toEqual('acme:foo=bar');
+                    expect( locker.has('foo') ).toBeFalsy();
+                    expect( contexts[0] ).toEqual({
+                        key: 'foo',
+                        value: 'bar',
+                        options: { encrypted: false, ttl: 60 },
+                        driver: 'local',
+                        namespace: 'locker'
+                    });
+                });
+            });
+
+            it('should not put an item when an interceptor vetoes it', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.interceptors.push(function () {
+                        return {
+                            beforePut: function (context) {
+                                return context.key !== 'secret';
+                            }
+                        };
+                    });
+                });
+
+                inject(function ($rootScope, locker) {
+                    spyOn($rootScope, '$emit');
+                    locker.put({ secret: 'value', other: 'value' });
+
+                    expect( locker.has('secret') ).toBeFalsy();
+                    expect( locker.get('other') ).toEqual('value');
+                    expect( $rootScope.$emit.calls.count() ).toEqual(1);
+                });
+            });
+
+            it('should only run the afterGet hooks for reads', function () {
+                var afterGet = jasmine.createSpy('afterGet');
+
+                module(function (lockerProvider) {
+                    lockerProvider.interceptors.push(function () {
+                        return { afterGet: afterGet };
+                    });
+                });
+
+                inject(function (locker) {
+                    locker.put('foo', 'bar');
+                    locker.put('foo', 'baz');
+                    locker.put('count', 1).put('count', function (current) {
+                        return current + 1;
+                    });
+                    locker.put('user', 'dark', { path: 'profile.theme' });
+                    locker.put('user', 'light', { path: 'profile.theme' });
+                    locker.batch(function (tx) {
+                        tx.put('foo', 'qux');
+                    });
+
+                    expect( afterGet ).not.toHaveBeenCalled();
+                    expect( locker.get('count') ).toEqual(2);
+                    expect( afterGet.calls.count() ).toEqual(1);
+                });
+            });
+
+            it('should pass items that were read through the interceptors in reverse order', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.interceptors.push(function () {
+                        return {
+                            afterGet: function (context) {
+                                context.value += '-first';
+                            }
+                        };
+                    }, function () {
+                        return {
+                            afterGet: function (context) {
+                                if (context.key === 'hidden') return false;
+                                context.value += '-second';
+                            }
+                        };
+                    });
+                });
+
+                inject(function (locker) {
+                    locker.put({ foo: 'bar', hidden: 'value' });
+
+                    expect( locker.get('foo') ).toEqual('bar-second-first');
+                    expect( locker.get('hidden', 'default') ).not.toBeDefined();
+                });
+            });
+
+            it('should not forget an item when an interceptor vetoes it', function () {
+                var forgetting = [];
+
+                module(function (lockerProvider) {
+                    lockerProvider.interceptors.push(function () {
+                        return {
+                            beforeForget: function (context) {
+                                forgetting.push(context.key + '=' + context.value);
+
+                                return context.key !== 'keep';
+                            }
+                        };
+                    });
+                });
+
+                inject(function (locker) {
+                    locker.put({ keep: 1, lose: 2 }).forget(['keep', 'lose']);
+
+                    expect( locker.all() ).toEqual({ keep: 1 });
+                    expect( forgetting ).toEqual(['keep=1', 'lose=2']);
+                });
+            });
+
+            it('should pass errors through the interceptors', function () {
+                var handled = [];
+
+                module(function (lockerProvider) {
+                    lockerProvider.interceptors.push(function () {
+                        return {
+                            onError: function (context) {
+                                handled.push(context.operation + ':' + context.key);
+                                if (context.key === 'ignored') return false;
+                                context.error = new Error('replaced');
+                            }
+                        };
+                    });
+                });
+
+                inject(function ($window, locker) {
+                    spyOn(locker, '_checkSupport').and.returnValue(true);
+                    spyOn($window.localStorage, 'setItem').and.throwError(new Error());
+
+                    expect(function () {
+                        locker.put('foo', 'bar');
+                    }).toThrowError('replaced');
+                    expect(function () {
+                        locker.put('ignored', 'bar');
+                    }).not.toThrow();
+                    expect( handled ).toEqual(['put:foo', 'put:ignored']);
+                });
+            });
+
+        });
+
+        describe('validating items', function () {
+
+            beforeEach(module(function (lockerProvider) {
+                lockerProvider.defineSchema('locker', 'user', {
+                    type: 'object',
+                    required: ['name', 'age'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        age: { type: 'integer', minimum: 0, maximum: 150 },
+                        role: { enum: ['admin', 'user'] },
+                        tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+                        manager: { type: ['object', 'null'], properties: { name: { type: 'string' } } }
+                    }
+                });
+            }));
+
+            var valid = { name: 'Bob', age: 42, role: 'user', tags: ['a'], manager: null };
+
+            it('should put values that match the schema', inject(function (locker) {
+                locker.put('user', valid);
+                locker.namespace('other').put('user', 'anything');
+
+                expect( locker.get('user') ).toEqual(valid);
+                expect( locker.add('user', valid) ).toBeFalsy();
+            }));
+
+            it('should throw a descriptive error for values that do not match the schema', inject(function (locker) {
+                var invalid = function (changes) {
+                    return function () {
+                        locker.put('user', angular.extend({}, valid, changes));
+                    };
+                };
+
+                expect( invalid({ age: -1 }) ).toThrowError(/user.age must be at least 0/);
+                expect( invalid({ age: 1.5 }) ).toThrowError(/user.age must be of type integer/);
+                expect( invalid({ age: undefined }) ).toThrowError(/user.age is required/);
+                expect( invalid({ name: '' }) ).toThrowError(/user.name must be at least 1 characters long/);
+                expect( invalid({ role: 'guest' }) ).toThrowError(/user.role must be one of \["admin","user"\]/);
+                expect( invalid({ tags: ['a', 2] }) ).toThrowError(/user.tags\[1\] must be of type string/);
+                expect( invalid({ tags: ['a', 'b', 'c'] }) ).toThrowError(/user.tags must have at most 2 items/);
+                expect( invalid({ manager: { name: 7 } }) ).toThrowError(/user.manager.name must be of type string/);
+                expect(function () {
+                    locker.add('user', 'Bob');
+                }).toThrowError(/user must be of type object/);
+
+                expect( locker.has('user') ).toBeFalsy();
+
+                locker.put('user', valid);
+                expect(function () {
+                    locker.put('user', -1, { path: 'age' });
+                }).toThrowError(/user.age must be at least 0/);
+                expect( locker.get('user') ).toEqual(valid);
+            }));
+
+            it('should return the default when asked to validate a value that no longer matches', inject(function ($window, locker) {
+                $window.localStorage.setItem('locker.user', JSON.stringify({ name: 'Bob' }));
+                $window.localStorage.setItem('locker.other', JSON.stringify({ name: 'Bob' }));
+
+                expect( locker.get('user') ).toEqual({ name: 'Bob' });
+                expect( locker.get('user', valid, { validate: true }) ).toEqual(valid);
+                expect( locker.get('user', undefined, { validate: true }) ).not.toBeDefined();
+                expect( locker.get('other', undefined, { validate: true }) ).toEqual({ name: 'Bob' });
+                expect( locker.get(['user', 'other'], null, { validate: true }) ).toEqual({ other: { name: 'Bob' } });
+            }));
+
+            it('should throw an error when the schema is not an object', function () {
+                module(function (lockerProvider) {
+                    expect(function () {
+                        lockerProvider.defineSchema('locker', 'foo', 'string');
+                    }).toThrowError();
+                    expect( lockerProvider.getSchema('locker', 'user').type ).toEqual('object');
+                    expect( lockerProvider.getSchema('locker', 'foo') ).toBeNull();
+                });
+                inject();
+            });
+
+        });
+
+        describe('binding with options', function () {
+
+            it('should unbind automatically when the scope is destroyed', inject(function (locker, $rootScope) {
+                var $scope = $rootScope.$new();
+                locker.bind($scope, 'foo', { default: 'bar' });
+
+                $scope.$digest();
+                expect( locker.get('foo') ).toEqual('bar');
+                expect( Object.keys(locker._watchers).length ).toEqual(1);
+
+                $scope.$destroy();
+                $scope.foo = 'baz';
+                $rootScope.$digest();
+
+                expect( locker.get('foo') ).toEqual('bar');
+                expect( Object.keys(locker._watchers).length ).toEqual(0);
+            }));
+
+            it('should follow the default encryption unless told otherwise', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setDefaultEncryption(true);
+                });
+
+                inject(function ($window, locker, $rootScope) {
+                    locker.setCryptoKey('secret');
+                    locker.bind($rootScope, 'secret', { default: 'hidden' });
+                    locker.bind($rootScope, 'plain', { default: 'shown', encrypted: false });
+                    $rootScope.$digest();
+
+                    expect( $window.localStorage['locker.secret'] ).not.toContain('hidden');
+                    expect( locker.get('secret') ).toEqual('hidden');
+                    expect( $window.localStorage['locker.plain'] ).toEqual('"shown"');
+                });
+            });
+
+            it('should debounce writes', inject(function (locker, $rootScope, $timeout) {
+                locker.bind($rootScope, 'query', { debounce: 300 });
+                spyOn(locker, 'put').and.callThrough();
+
+                ['a', 'ab', 'abc'].forEach(function (value) {
+                    $rootScope.query = value;
+                    $rootScope.$digest();
+                });
+
+                expect( locker.put ).not.toHaveBeenCalled();
+
+                $timeout.flush(299);
+                expect( locker.put ).not.toHaveBeenCalled();
+
+                $timeout.flush(1);
+                expect( locker.put.calls.count() ).toEqual(1);
+                expect( locker.get('query') ).toEqual('abc');
+            }));
+
+            it('should write any pending change when the scope is destroyed', inject(function (locker, $rootScope, $timeout) {
+                var $scope = $rootScope.$new();
+                locker.bind($scope, 'query', { debounce: 300 });
+
+                $scope.query = 'abc';
+                $scope.$digest();
+                $scope.$destroy();
+
+                expect( locker.get('query') ).toEqual('abc');
+                $timeout.verifyNoPendingTasks();
+            }));
+
+            it('should only deep watch when asked to', inject(function (locker, $rootScope) {
+                $rootScope.shallow = { count: 1 };
+                $rootScope.deep = { count: 1 };
+                locker.bind($rootScope, 'shallow', { deep: false });
+                locker.bind($rootScope, 'deep', { deep: true });
+                $rootScope.$digest();
+
+                $rootScope.shallow.count = 2;
+                $rootScope.deep.count = 2;
+                $rootScope.$digest();
+
+                expect( locker.get('shallow') ).toEqual({ count: 1 });
+                expect( locker.get('deep') ).toEqual({ count: 2 });
+            }));
+
+            it('should bind to a nested attribute', inject(function (locker, $rootScope) {
+                $rootScope.settings = { theme: { name: 'light' } };
+                locker.put('theme', 'dark');
+                locker.bind($rootScope, 'theme', { attr: 'settings.theme.name' });
+                locker.bind($rootScope, 'font', { attr: 'settings.font', default: { size: 12 } });
+
+                expect( $rootScope.settings.theme.name ).toEqual('light');
+                expect( $rootScope.settings.font ).toEqual({ size: 12 });
+
+                $rootScope.$digest();
+                $rootScope.settings.font.size = 14;
+                $rootScope.$digest();
+
+                expect( locker.get('theme') ).toEqual('light');
+                expect( locker.get('font') ).toEqual({ size: 14 });
+            }));
+
+            it('should encrypt the item when asked to', inject(function (locker, $rootScope, $window) {
+                locker.setCryptoKey('secret');
+                locker.bind($rootScope, 'pin', { default: '1234', encrypted: true });
+                $rootScope.$digest();
+
+                expect( $window.localStorage.getItem('locker.pin') ).not.toContain('1234');
+                expect( locker.get('pin') ).toEqual('1234');
+            }));
+
+            it('should still accept a default that is not the options', inject(function (locker, $rootScope) {
+                locker.bind($rootScope, 'foo', { bar: 'baz' });
+
+                expect( $rootScope.foo ).toEqual({ bar: 'baz' });
+            }));
+
+        });
+
+        describe('remembering items', function () {
+
+            it('should store and resolve with the value returned by the factory', inject(function ($rootScope, locker) {
+                var result;
+
+                locker.remember('foo', function () {
+                    return 'bar';
+                }).then(function (value) {
+                    result = value;
+                });
+                $rootScope.$digest();
+
+                expect( result ).toEqual('bar');
+                expect( locker.get('foo') ).toEqual('bar');
+            }));
+
+            it('should resolve with the stored value without calling the factory', inject(function ($rootScope, locker) {
+                var factory = jasmine.createSpy('factory');
+                var result;
+
+                locker.put('foo', 'bar');
+                locker.remember('foo', factory).then(function (value) {
+                    result = value;
+                });
+                $rootScope.$digest();
+
+                expect( result ).toEqual('bar');
+                expect( factory ).not.toHaveBeenCalled();
+            }));
+
+            it('should share the promise between concurrent calls for the same key', inject(function ($q, $rootScope, locker) {
+                var deferred = $q.defer();
+                var factory = jasmine.createSpy('factory').and.returnValue(deferred.promise);
+                var results = [];
+                var push = function (value) {
+                    results.push(value);
+                };
+
+                var first = locker.remember('user', factory);
+                var second = locker.remember('user', factory);
+                locker.namespace('other').remember('user', factory);
+
+                expect( first ).toBe(second);
+                expect( factory.calls.count() ).toEqual(2);
+                expect( locker.has('user') ).toBeFalsy();
+
+                first.then(push);
+                second.then(push);
+                deferred.resolve({ name: 'foo' });
+                $rootScope.$digest();
+
+                expect( results ).toEqual([{ name: 'foo' }, { name: 'foo' }]);
+                expect( locker.get('user') ).toEqual({ name: 'foo' });
+                expect( locker.namespace('other').get('user') ).toEqual({ name: 'foo' });
+            }));
+
+            it('should store the value with the given options', inject(function ($rootScope, locker) {
+                var now = Date.now();
+                spyOn(Date, 'now').and.returnValue(now);
+
+                locker.remember('token', function () {
+                    return 'abc123';
+                }, { ttl: 60 });
+                $rootScope.$digest();
+
+                Date.now.and.returnValue(now + 61000);
+                expect( locker.has('token') ).toBeFalsy();
+            }));
+
+            it('should not store failures', inject(function ($q, $rootScope, locker) {
+                var reasons = [];
+                var push = function (reason) {
+                    reasons.push(reason);
+                };
+
+                locker.remember('user', function () {
+                    return $q.reject('offline');
+                }).catch(push);
+                locker.remember('other', function () {
+                    throw 'broken';
+                }).catch(push);
+                $rootScope.$digest();
+
+                expect( reasons.sort() ).toEqual(['broken', 'offline']);
+                expect( locker.has('user') ).toBeFalsy();
+                expect( locker.has('other') ).toBeFalsy();
+
+                locker.remember('user', function () {
+                    return 'foo';
+                });
+                $rootScope.$digest();
+
+                expect( locker.get('user') ).toEqual('foo');
+            }));
+
+        });
+
+        describe('caching $http responses', function () {
+
+            it('should follow the $cacheFactory contract', inject(function ($window, locker) {
+                var cache = locker.cache('api');
+
+                expect( cache.put('/users', [200, { name: 'foo' }, {}, 'OK']) ).toEqual([200, { name: 'foo' }, {}, 'OK']);
+                cache.put('/posts', [200, []]);
+
+                expect( cache.get('/users') ).toEqual([200, { name: 'foo' }, {}, 'OK']);
+                expect( cache.get('/nope') ).not.toBeDefined();
+                expect( cache.info() ).toEqual({ id: 'api', size: 2 });
+                expect( $window.localStorage['__locker_cache_api./users'] ).toBeDefined();
+
+                cache.remove('/users');
+                expect( cache.get('/users') ).not.toBeDefined();
+                expect( cache.info().size ).toEqual(1);
+
+                cache.removeAll();
+                expect( cache.info().size ).toEqual(0);
+                expect( locker.namespace('__locker_cache_api').count() ).toEqual(0);
+            }));
+
+            it('should not clash with the namespaces of the app', inject(function (locker) {
+                locker.put('token', 'abc123');
+
+                var cache = locker.cache('locker');
+                cache.put('/users', [200, 'foo']);
+                cache.removeAll();
+
+                expect( locker.get('token') ).toEqual('abc123');
+                expect( locker.keys() ).toEqual(['token']);
+            }));
+
+            it('should return the same cache for the same name and driver', inject(function (locker) {
+                var cache = locker.cache('api');
+
+                expect( locker.cache('api') ).toBe(cache);
+                expect( locker.driver('session').cache('api') ).not.toBe(cache);
+
+                cache.destroy();
+                expect( locker.cache('api') ).not.toBe(cache);
+            }));
+
+            it('should read entries persisted before the cache was created', inject(function (locker) {
+                locker.namespace('__locker_cache_api').put('/users', [200, 'foo']);
+
+                expect( locker.cache('api').get('/users') ).toEqual([200, 'foo']);
+            }));
+
+            it('should drop the least recently used entries beyond the capacity', inject(function (locker) {
+                var cache = locker.cache('api', { capacity: 2 });
+
+                cache.put('a', 1);
+                cache.put('b', 2);
+                cache.get('a');
+                cache.put('c', 3);
+
+                expect( cache.get('b') ).not.toBeDefined();
+                expect( cache.get('a') ).toEqual(1);
+                expect( cache.get('c') ).toEqual(3);
+                expect( cache.info() ).toEqual({ id: 'api', size: 2, capacity: 2 });
+                expect( locker.namespace('__locker_cache_api').keys() ).toEqual(['a', 'c']);
+            }));
+
+            it('should treat entries older than maxAge as missing', inject(function (locker) {
+                var now = Date.now();
+                spyOn(Date, 'now').and.returnValue(now);
+
+                var cache = locker.cache('api', { maxAge: 60000 });
+                cache.put('/users', [200, 'foo']);
+
+                Date.now.and.returnValue(now + 59000);
+                expect( cache.get('/users') ).toEqual([200, 'foo']);
+
+                Date.now.and.returnValue(now + 61000);
+                expect( cache.get('/users') ).not.toBeDefined();
+                expect( cache.info().size ).toEqual(0);
+            }));
+
+            it('should keep promises in memory only', inject(function ($window, $q, locker) {
+                var cache = locker.cache('api');
+                var promise = $q.defer().promise;
+
+                cache.put('/users', promise);
+
+                expect( cache.get('/users') ).toBe(promise);
+                expect( cache.info().size ).toEqual(1);
+                expect( $window.localStorage['__locker_cache_api./users'] ).not.toBeDefined();
+
+                cache.put('/users', [200, 'foo']);
+                expect( cache.get('/users') ).toEqual([200, 'foo']);
+            }));
+
+            it('should cache $http responses', inject(function ($http, $httpBackend, $rootScope, $window, locker) {
+                var cache = locker.cache('api');
+                var responses = [];
+                var push = function (response) {
+                    responses.push(response.data);
+                };
+
+                $httpBackend.expectGET('/users').respond(200, { name: 'foo' });
+
+                $http.get('/users', { cache: cache }).then(push);
+                $http.get('/users', { cache: cache }).then(push);
+                expect( $window.localStorage['__locker_cache_api./users'] ).not.toBeDefined();
+
+                $httpBackend.flush();
+
+                $http.get('/users', { cache: cache }).then(push);
+                $rootScope.$digest();
+
+                expect( responses ).toEqual([{ name: 'foo' }, { name: 'foo' }, { name: 'foo' }]);
+                expect( locker.namespace('__locker_cache_api').get('/users')[1] ).toEqual({ name: 'foo' });
+                $httpBackend.verifyNoOutstandingRequest();
+            }));
+
+            it('should not cache failed $http requests', inject(function ($http, $httpBackend, locker) {
+                var cache = locker.cache('api');
+
+                $httpBackend.expectGET('/users').respond(500, 'error');
+                $http.get('/users', { cache: cache }).catch(angular.noop);
+                $httpBackend.flush();
+
+                expect( cache.get('/users') ).not.toBeDefined();
+                expect( cache.info().size ).toEqual(0);
+            }));
+
+        });
+
+        describe('storing items in cookies', function () {
+
+            var cookieDocument;
+
+            beforeEach(module(function ($provide) {
+                cookieDocument = cookieMock();
+                $provide.value('$window', {
+                    localStorage: storageMock(),
+                    sessionStorage: storageMock(),
+                    document: cookieDocument
+                });
+            }));
+
+            it('should put items into cookies', inject(function (locker) {
+                var cookies = locker.driver('cookie');
+                cookies.put('foo', { bar: 'baz' });
+                cookies.put('other', 'value with; special=chars');
+
+                expect( cookies.get('foo') ).toEqual({ bar: 'baz' });
+                expect( cookies.get('other') ).toEqual('value with; special=chars');
+                expect( cookies.all() ).toEqual({ foo: { bar: 'baz' }, other: 'value with; special=chars' });
+                expect( cookieDocument.jar['locker.foo'] ).toEqual(encodeURIComponent('{"bar":"baz"}'));
+
+                cookies.forget('foo');
+
+                expect( cookies.has('foo') ).toBeFalsy();
+                expect( cookieDocument.jar['locker.foo'] ).not.toBeDefined();
+            }));
+
+            it('should write cookies with the configured options', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setCookieOptions({ path: '/app', domain: 'example.com', secure: true, sameSite: 'Strict', maxAge: 60 });
+                });
+
+                inject(function (locker) {
+                    locker.driver('cookie').put('foo', 'bar');
+
+                    var attributes = cookieDocument.attributes['locker.foo'];
+
+                    expect( attributes ).toContain('path=/app');
+                    expect( attributes ).toContain('domain=example.com');
+                    expect( attributes ).toContain('max-age=60');
+                    expect( attributes ).toContain('samesite=Strict');
+                    expect( attributes ).toContain('secure');
+                });
+            });
+
+            it('should split values over the size limit into chunks', inject(function (locker) {
+                var cookies = locker.driver('cookie');
+                var value = new Array(2500).join('\u00e9a');
+
+                cookies.put('big', value);
+
+                expect( Object.keys(cookieDocument.jar).length ).toBeGreaterThan(2);
+                angular.forEach(cookieDocument.jar, function (cookie, name) {
+                    expect( name.length + cookie.length ).not.toBeGreaterThan(4000);
+                });
+                expect( cookies.get('big') ).toEqual(value);
+                expect( cookies.count() ).toEqual(1);
+
+                cookies.forget('big');
+
+                expect( Object.keys(cookieDocument.jar).length ).toEqual(0);
+            }));
+
+            it('should not be supported without a document', function () {
+                module(function ($provide) {
+                    $provide.value('$window', { localStorage: storageMock(), sessionStorage: storageMock() });
+                });
+
+                inject(function (locker) {
+                    expect( locker.supported('cookie') ).toBeFalsy();
+                    expect( locker.driver('cookie')._driver.length ).toEqual(0);
+                    expect( locker.driver('cookie')._driver.getItem('foo') ).toBeNull();
+                });
+            });
+
+        });
+
+        describe('storing items in indexedDB', function () {
+
+            var idb;
+
+            var flush = function ($rootScope) {
+                do {
+                    idb.flush();
+                    $rootScope.$digest();
+                } while (idb.pending());
+            };
+
+            beforeEach(module(function ($provide) {
+                idb = indexedDBMock();
+                $provide.value('$window', {
+                    localStorage: storageMock(),
+                    sessionStorage: storageMock(),
+                    indexedDB: idb.indexedDB,
+                    IDBKeyRange: idb.IDBKeyRange
+                });
+            }));
+
+            it('should put items into indexedDB and get them back', inject(function (locker, $rootScope) {
+                var results = {};
+                var store = locker.async();
+
+                store.put('foo', { bar: ['baz'] }).then(function () {
+                    return store.put({ one: 1, two: 2 });
+                }).then(function () {
+                    return store.get('foo');
+                }).then(function (value) {
+                    results.foo = value;
+                    return store.get(['one', 'missing']);
+                }).then(function (value) {
+                    results.many = value;
+                    return store.get('missing', 'default');
+                }).then(function (value) {
+                    results.missing = value;
+                });
+
+                flush($rootScope);
+
+                expect( results.foo ).toEqual({ bar: ['baz'] });
+                expect( results.many ).toEqual({ one: 1 });
+                expect( results.missing ).toEqual('default');
+                expect( idb.stores['angular-locker']['locker.foo'] ).toEqual('{"bar":["baz"]}');
+                expect( locker.has('foo') ).toBeFalsy();
+            }));
+
+            it('should pass items through the interceptors and schema', function () {
+                var contexts = [];
+
+                module(function (lockerProvider) {
+                    lockerProvider.defineSchema('locker', 'age', { type: 'number' });
+                    lockerProvider.interceptors.push(function () {
+                        return {
+                            beforePut: function (context) {
+                                contexts.push(context.driver + ':' + context.key);
+                                if (context.key === 'vetoed') return false;
+                            }
+                        };
+                    });
+                });
+
+                inject(function (locker, $rootScope) {
+                    var error;
+                    var store = locker.async();
+
+                    store.put('age', 'not a number').catch(function (e) {
+                        error = e;
+                    });
+                    store.put({ vetoed: true, name: 'Bob' });
+                    flush($rootScope);
+
+                    expect( error.message ).toContain('Could not add item with key "age"');
+                    expect( contexts ).toEqual(['indexeddb:age', 'indexeddb:vetoed', 'indexeddb:name']);
+                    expect( idb.stores['angular-locker']['locker.age'] ).not.toBeDefined();
+                    expect( idb.stores['angular-locker']['locker.vetoed'] ).not.toBeDefined();
+                    expect( idb.stores['angular-locker']['locker.name'] ).toEqual('"Bob"');
+                });
+            });
+
+            it('should pass items read or forgotten through the interceptors', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.interceptors.push(function () {
+                        return {
+                            afterGet: function (context) {
+                                if (context.key === 'secret') return angular.extend(context, { value: '[redacted]' });
+                            },
+                            beforeForget: function (context) {
+                                if (context.value === 'pinned') return false;
+                            }
+                        };
+                    });
+                });
+
+                inject(function (locker, $rootScope) {
+                    var results = {};
+                    var store = locker.async();
+
+                    store.put({ secret: 'hunter2', keep: 'pinned', drop: 'foo' }).then(function () {
+                        return store.get('secret');
+                    }).then(function (value) {
+                        results.get = value;
+                        return store.all();
+                    }).then(function (items) {
+                        results.all = items;
+                        return store.forget('keep');
+                    }).then(function () {
+                        return store.pull('secret');
+                    }).then(function (value) {
+                        results.pull = value;
+                        return store.clean();
+                    }).then(function () {
+                        return store.all();
+                    }).then(function (items) {
+                        results.remaining = items;
+                    });
+
+                    flush($rootScope);
+
+                    expect( results.get ).toEqual('[redacted]');
+                    expect( results.all ).toEqual({ secret: '[redacted]', keep: 'pinned', drop: 'foo' });
+                    expect( results.pull ).toEqual('[redacted]');
+                    expect( results.remaining ).toEqual({ keep: 'pinned' });
+                });
+            });
+
+            it('should keep items within their namespace', inject(function (locker, $rootScope) {
+                var results = {};
+
+                locker.async().put('foo', 'bar').then(function () {
+                    return locker.namespace('other').async().put({ foo: 'baz', bob: true });
+                }).then(function () {
+                    return locker.async().all();
+                }).then(function (items) {
+                    results.all = items;
+                    return locker.namespace('other').async().count();
+                }).then(function (count) {
+                    results.count = count;
+                    return locker.namespace('other').async().clean();
+                }).then(function () {
+                    return locker.namespace('other').async().has('foo');
+                }).then(function (exists) {
+                    results.exists = exists;
+                    return locker.async().has('foo');
+                }).then(function (exists) {
+                    results.existsDefault = exists;
+                });
+
+                flush($rootScope);
+
+                expect( results.all ).toEqual({ foo: 'bar' });
+                expect( results.count ).toEqual(2);
+                expect( results.exists ).toBeFalsy();
+                expect( results.existsDefault ).toBeTruthy();
+            }));
+
+            it('should trigger events with the indexeddb driver', inject(function (locker, $rootScope) {
+                var store = locker.async();
+                spyOn($rootScope, '$emit').and.callThrough();
+
+                store.put('foo', 'bar').then(function () {
+                    return store.put('foo', 'baz');
+                }).then(function () {
+                    return store.forget('foo');
+                });
+
+                flush($rootScope);
+
+                expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.added', { key: 'foo', value: 'bar', driver: 'indexeddb', namespace: 'locker' });
+                expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.updated', { key: 'foo', oldValue: 'bar', newValue: 'baz', driver: 'indexeddb', namespace: 'locker' });
+                expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.forgotten', { key: 'foo', driver: 'indexeddb', namespace: 'locker' });
+            }));
+
+            it('should treat expired items as missing', inject(function (locker, $rootScope) {
+                var store = locker.async();
+                var result;
+
+                store.put('foo', 'bar', { expires: Date.now() - 1000 }).then(function () {
+                    return store.get('foo', 'expired');
+                }).then(function (value) {
+                    result = value;
+                });
+
+                flush($rootScope);
+
+                expect( result ).toEqual('expired');
+                expect( idb.stores['angular-locker']['locker.foo'] ).not.toBeDefined();
+            }));
+
+            it('should reject when indexedDB is not supported', function () {
+                module(function ($provide) {
+                    $provide.value('$window', { localStorage: storageMock(), sessionStorage: storageMock() });
+                });
+
+                inject(function (locker, $rootScope) {
+                    var error;
+
+                    locker.async().get('foo').catch(function (e) {
+                        error = e;
+                    });
+                    $rootScope.$digest();
+
+                    expect( locker.async().supported() ).toBeFalsy();
+                    expect( error.message ).toContain('indexedDB');
+                });
+            });
+
+        });
+
+        describe('synchronizing with other tabs', function () {
+
+            var listeners;
+
+            var storageEvent = function ($window, key, oldValue, newValue) {
+                if (newValue === null) {
+                    delete $window.localStorage[key];
+                } else {
+                    $window.localStorage[key] = newValue;
+                }
+
+                listeners.storage({ key: key, oldValue: oldValue, newValue: newValue, storageArea: $window.localStorage });
+            };
+
+            beforeEach(module(function ($provide) {
+                listeners = {};
+                $provide.value('$window', {
+                    localStorage: storageMock(),
+                    sessionStorage: storageMock(),
+                    addEventListener: function (name, listener) {
+                        listeners[name] = listener;
+                    }
+                });
+            }));
+
+            it('should trigger remote events when another tab changes an item', inject(function ($window, locker, $rootScope) {
+                spyOn($rootScope, '$emit');
+
+                storageEvent($window, 'locker.foo', null, '"bar"');
+                storageEvent($window, 'locker.foo', '"bar"', '{"baz":true}');
+                storageEvent($window, 'other.foo', '{"baz":true}', null);
+
+                expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.added', {
+                    key: 'foo',
+                    value: 'bar',
+                    remote: true,
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+                expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.updated', {
+                    key: 'foo',
+                    oldValue: 'bar',
+                    newValue: { baz: true },
+                    remote: true,
+                    driver: 'local',
+                    namespace: 'locker'
+                });
+                expect($rootScope.$emit).toHaveBeenCalledWith('locker.item.forgotten', {
+                    key: 'foo',
+                    remote: true,
+                    driver: 'local',
+                    namespace: 'other'
+                });
+            }));
+
+            it('should not write to storage when relaying changes', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setFallbackDriver('memory');
+                });
+
+                inject(function ($window, locker, $rootScope) {
+                    spyOn($rootScope, '$emit');
+                    spyOn($window.localStorage, 'setItem').and.callThrough();
+                    spyOn($window.localStorage, 'removeItem').and.callThrough();
+
+                    storageEvent($window, 'other.foo', null, '"bar"');
+                    storageEvent($window, 'other.foo', '"bar"', '"baz"');
+                    listeners.storage({ key: 'l', oldValue: null, newValue: 'l', storageArea: $window.localStorage });
+
+                    expect( $window.localStorage.setItem ).not.toHaveBeenCalled();
+                    expect( $window.localStorage.removeItem ).not.toHaveBeenCalled();
+                    expect( $rootScope.$emit.calls.count() ).toEqual(2);
+                });
+            });
+
+            it('should ignore changes to storage areas that are not drivers', inject(function ($window, locker, $rootScope) {
+                spyOn($rootScope, '$emit');
+
+                listeners.storage({ key: 'locker.foo', oldValue: null, newValue: '"bar"', storageArea: {} });
+
+                expect($rootScope.$emit).not.toHaveBeenCalled();
+            }));
+
+            it('should update bound scope properties when another tab changes an item', inject(function ($window, locker, $rootScope) {
+                var $scope = $rootScope.$new();
+                locker.bind($scope, 'foo', 'default');
+                locker.namespace('other').bind($scope, 'bar');
+                $rootScope.$apply();
+
+                storageEvent($window, 'locker.foo', '"default"', '"fromOtherTab"');
+                storageEvent($window, 'locker.bar', null, '"notBound"');
+
+                expect( $scope.foo ).toEqual('fromOtherTab');
+                expect( $scope.bar ).not.toBeDefined();
+
+                locker.unbind($scope, 'foo', null, true);
+                storageEvent($window, 'locker.foo', '"fromOtherTab"', '"again"');
+
+                expect( $scope.foo ).toBe(null);
+            }));
+
+        });
+
+        describe('serializing items', function () {
+
+            beforeEach(module(function (lockerProvider) {
+                lockerProvider.setSerializer('typed');
+            }));
+
+            it('should round trip values that json cannot represent', inject(function (locker) {
+                var date = new Date(2015, 4, 12, 10, 30);
+
+                locker.put('foo', {
+                    date: date,
+                    pattern: /^draft-\d+$/gi,
+                    missing: undefined,
+                    notANumber: NaN,
+                    infinite: -Infinity,
+                    list: [date, undefined],
+                    $$private: 'kept',
+                    __t: 'not a tag'
+                });
+
+                var result = locker.get('foo');
+
+                expect( angular.isDate(result.date) ).toBeTruthy();
+                expect( result.date.getTime() ).toEqual(date.getTime());
+                expect( result.pattern instanceof RegExp ).toBeTruthy();
+                expect( result.pattern.source ).toEqual('^draft-\\d+$');
+                expect( result.pattern.global && result.pattern.ignoreCase ).toBeTruthy();
+                expect( result.hasOwnProperty('missing') ).toBeTruthy();
+                expect( result.missing ).not.toBeDefined();
+                expect( isNaN(result.notANumber) ).toBeTruthy();
+                expect( result.infinite ).toEqual(-Infinity);
+                expect( result.list[0].getTime() ).toEqual(date.getTime());
+                expect( result.list.length ).toEqual(2);
+                expect( result.$$private ).toEqual('kept');
+                expect( result.__t ).toEqual('not a tag');
+            }));
+
+            it('should round trip maps and sets', inject(function (locker) {
+                if (typeof Map === 'undefined' || typeof Set === 'undefined') return;
+
+                var map = new Map();
+                map.set('foo', new Set([1, 2, 3]));
+                map.set(42, { bar: true });
+
+                locker.put('map', map);
+
+                var result = locker.get('map');
+
+                expect( result instanceof Map ).toBeTruthy();
+                expect( result.get('foo') instanceof Set ).toBeTruthy();
+                expect( result.get('foo').has(2) ).toBeTruthy();
+                expect( result.get(42) ).toEqual({ bar: true });
+            }));
+
+            it('should read values stored as plain json', inject(function ($window, locker) {
+                $window.localStorage['locker.foo'] = '{"bar":["baz",1,true]}';
+                $window.localStorage['locker.str'] = 'not json';
+
+                expect( locker.get('foo') ).toEqual({ bar: ['baz', 1, true] });
+                expect( locker.get('str') ).toEqual('not json');
+            }));
+
+            it('should use a custom serializer', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setSerializer({
+                        serialize: function (value) {
+                            return 'custom:' + angular.toJson(value);
+                        },
+                        unserialize: function (value) {
+                            return angular.fromJson(value.slice(7));
+                        }
+                    });
+                });
+
+                inject(function ($window, locker) {
+                    locker.put('foo', ['bar']);
+
+                    expect( $window.localStorage['locker.foo'] ).toEqual('custom:["bar"]');
+                    expect( locker.get('foo') ).toEqual(['bar']);
+                });
+            });
+
+            it('should throw an error when setting an invalid serializer', function () {
+                module(function (lockerProvider) {
+                    expect(function () {
+                        lockerProvider.setSerializer('foo');
+                    }).toThrowError();
+
+                    expect(function () {
+                        lockerProvider.setSerializer({ serialize: angular.noop });
+                    }).toThrowError();
+                });
+
+                inject(function () {});
+            });
+
+        });
+
+        describe('encrypting items', function () {
+
+            var webCrypto;
+
+            var settle = function ($rootScope, promise, callback) {
+                var settled = false;
+
+                promise.then(function (value) {
+                    settled = true;
+                    callback(null, value);
+                }, function (error) {
+                    settled = true;
+                    callback(error);
+                });
+
+                var poll = function () {
+                    $rootScope.$digest();
+                    if (! settled) setTimeout(poll, 5);
+                };
+
+                setTimeout(poll);
+            };
+
+            beforeEach(module(function ($provide) {
+                webCrypto = cryptoMock();
+                $provide.value('$window', {
+                    localStorage: storageMock(),
+                    sessionStorage: storageMock(),
+                    crypto: webCrypto
+                });
+            }));
+
+            it('should throw an error when encrypting without SJCL', inject(function (locker) {
+                var sjcl = window.sjcl;
+                window.sjcl = undefined;
+                locker.setCryptoKey('secret');
+
+                try {
+                    expect(function () {
+                        locker.put('foo', 'bar', true);
+                    }).toThrowError(/SJCL/);
+                    expect( locker.has('foo') ).toBeFalsy();
+                } finally {
+                    window.sjcl = sjcl;
+                }
+            }));
+
+            it('should throw an error when encrypting without a crypto key', inject(function (locker) {
+                expect(function () {
+                    locker.put('foo', 'bar', { encrypted: true });
+                }).toThrowError(/crypto key/);
+            }));
+
+            it('should reject when WebCrypto is not available', function (done) {
+                module(function ($provide) {
+                    $provide.value('$window', { localStorage: storageMock(), sessionStorage: storageMock() });
+                });
+
+                inject(function (locker, $rootScope) {
+                    locker.setCryptoKey('secret');
+
+                    settle($rootScope, locker.putEncrypted('foo', 'bar'), function (error) {
+                        expect( error.message ).toContain('WebCrypto');
+                        expect( locker.has('foo') ).toBeFalsy();
+                        done();
+                    });
+                });
+            });
+
+            it('should encrypt and decrypt items via WebCrypto', function (done) {
+                inject(function ($window, locker, $rootScope) {
+                    locker.setCryptoKey('secret');
+
+                    settle($rootScope, locker.putEncrypted('foo', { bar: 'baz' }, { ttl: 60 }), function (error) {
+                        var stored = JSON.parse($window.localStorage['locker.foo']);
+
+                        expect( error ).toBe(null);
+                        expect( $window.localStorage['locker.foo'] ).not.toContain('baz');
+                        expect( stored._locker.enc ).toEqual('aes-gcm');
+                        expect( stored._locker.expires ).toBeDefined();
+
+                        settle($rootScope, locker.getEncrypted('foo'), function (error, value) {
+                            expect( value ).toEqual({ bar: 'baz' });
+                            done();
+                        });
+                    });
+                });
+            });
+
+            it('should reject when decrypting via WebCrypto with the wrong key', function (done) {
+                inject(function (locker, $rootScope) {
+                    locker.setCryptoKey('secret');
+
+                    settle($rootScope, locker.putEncrypted('foo', 'bar'), function () {
+                        locker.setCryptoKey('wrong');
+
+                        settle($rootScope, locker.getEncrypted('foo'), function (error) {
+                            expect( error ).toBeDefined();
+                            done();
+                        });
+                    });
+                });
+            });
+
+            it('should only reuse the keys derived for decrypting, unless deriving failed', function (done) {
+                inject(function ($q, locker, $rootScope) {
+                    var importKey = webCrypto.subtle.importKey;
+                    var calls = 0;
+                    var failing = false;
+                    webCrypto.subtle.importKey = function () {
+                        calls++;
+                        return failing ? $q.reject(new Error('nope')) : importKey.apply(webCrypto.subtle, arguments);
+                    };
+
+                    var finish = function () {
+                        webCrypto.subtle.importKey = importKey;
+                        done();
+                    };
+
+                    locker.setCryptoKey('secret');
+
+                    settle($rootScope, locker.putEncrypted('foo', 'bar'), function () {
+                        settle($rootScope, locker.putEncrypted('foo', 'baz'), function () {
+                            expect( calls ).toEqual(2);
+                            failing = true;
+
+                            settle($rootScope, locker.getEncrypted('foo'), function (error) {
+                                expect( error.message ).toEqual('nope');
+                                failing = false;
+
+                                settle($rootScope, locker.getEncrypted('foo'), function (error, value) {
+                                    settle($rootScope, locker.getEncrypted('foo'), function () {
+                                        expect( value ).toEqual('baz');
+                                        expect( calls ).toEqual(4);
+                                        finish();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+
+            it('should rotate the crypto key of every encrypted item in the namespace', function (done) {
+                inject(function ($window, locker, $rootScope) {
+                    locker.setCryptoKey('old');
+                    locker.put('foo', 'bar', true);
+                    locker.put('baz', { bob: true }, { encrypted: true, ttl: 60 });
+                    locker.put('plain', 'text');
+                    locker.namespace('other').put('foo', 'bar');
+
+                    var other = $window.localStorage['other.foo'];
+                    spyOn($rootScope, '$emit').and.callThrough();
+
+                    settle($rootScope, locker.rotateCryptoKey('old', 'new'), function (error, keys) {
+                        expect( error ).toBe(null);
+                        expect( keys.sort() ).toEqual(['baz', 'foo']);
+                        expect( $window.localStorage['other.foo'] ).toEqual(other);
+                        expect( locker.get('plain') ).toEqual('text');
+                        expect( locker.get('foo', null, true) ).toEqual('bar');
+                        expect( locker.get('baz', null, true) ).toEqual({ bob: true });
+                        expect( JSON.parse($window.localStorage['locker.baz'])._locker.expires ).toBeDefined();
+                        expect( window.sjcl.decrypt('new', JSON.parse($window.localStorage['locker.foo']).value, {}, {}) ).toEqual('"bar"');
+                        expect($rootScope.$emit).toHaveBeenCalledWith('locker.crypto.rotated', {
+                            keys: keys,
+                            driver: 'local',
+                            namespace: 'locker'
+                        });
+                        done();
+                    });
+                });
+            });
+
+            it('should leave every item untouched when an item cannot be decrypted', function (done) {
+                inject(function ($window, locker, $rootScope) {
+                    locker.setCryptoKey('old');
+                    locker.put('foo', 'bar', true);
+                    locker.setCryptoKey('other');
+                    locker.put('baz', 'bob', true);
+
+                    var stored = angular.copy($window.localStorage);
+
+                    settle($rootScope, locker.rotateCryptoKey('old', 'new'), function (error) {
+                        expect( error.message ).toContain('baz');
+                        expect( angular.copy($window.localStorage) ).toEqual(stored);
+                        expect( locker.get('baz', null, true) ).toEqual('bob');
+                        done();
+                    });
+                });
+            });
+
+            it('should rotate the crypto key of items encrypted via WebCrypto', function (done) {
+                inject(function (locker, $rootScope) {
+                    locker.setCryptoKey('old');
+
+                    settle($rootScope, locker.putEncrypted('foo', 'bar'), function () {
+                        settle($rootScope, locker.rotateCryptoKey('old', 'new'), function (error, keys) {
+                            expect( keys ).toEqual(['foo']);
+
+                            locker.setCryptoKey('new');
+                            settle($rootScope, locker.getEncrypted('foo'), function (error, value) {
+                                expect( value ).toEqual('bar');
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+
+            it('should decrypt encrypted items without the encrypted flag', inject(function ($window, locker) {
+                locker.setCryptoKey('secret');
+                locker.put('foo', { bar: 'baz' }, true);
+                locker.put('plain', 'text');
+
+                expect( JSON.parse($window.localStorage['locker.foo'])._locker.enc ).toEqual('sjcl');
+                expect( locker.get('foo') ).toEqual({ bar: 'baz' });
+                expect( locker.all() ).toEqual({ foo: { bar: 'baz' }, plain: 'text' });
+                expect( locker.get('plain', null, true) ).toEqual('text');
+                expect( locker.pull('foo') ).toEqual({ bar: 'baz' });
+                expect( locker.has('foo') ).toBeFalsy();
+            }));
+
+            it('should decrypt items encrypted via SJCL before they were tagged', inject(function ($window, locker) {
+                locker.setCryptoKey('secret');
+                $window.localStorage['locker.foo'] = window.sjcl.encrypt('secret', '["bar"]', { mode: 'ccm', ks: 128 }, {});
+
+                expect( locker.get('foo') ).toEqual(['bar']);
+                expect( locker.all() ).toEqual({ foo: ['bar'] });
+            }));
+
+            it('should encrypt every item when encryption is enabled by default', function () {
+                module(function (lockerProvider) {
+                    lockerProvider.setDefaultEncryption(true);
+                });
+
+                inject(function ($window, locker) {
+                    locker.setCryptoKey('secret');
+                    locker.put('foo', 'bar');
+                    locker.put({ baz: 'bob' }, null, { ttl: 60 });
+                    locker.put('plain', 'text', false);
+
+                    expect( $window.localStorage['locker.foo'] ).not.toContain('bar');
+                    expect( JSON.parse($window.localStorage['locker.baz'])._locker.enc ).toEqual('sjcl');
+                    expect( $window.localStorage['locker.plain'] ).toEqual('"text"');
+                    expect( locker.all() ).toEqual({ foo: 'bar', baz: 'bob', plain: 'text' });
+                });
+            });
+
+            it('should throw an error when reading an item encrypted via WebCrypto synchronously', function (done) {
+                inject(function (locker, $rootScope) {
+                    locker.setCryptoKey('secret');
+
+                    settle($rootScope, locker.putEncrypted('foo', 'bar'), function () {
+                        expect(function () {
+                            locker.get('foo');
+                        }).toThrowError(/getEncrypted/);
+                        done();
+                    });
+                });
+            });
+
+            it('should leave out the items it cannot decrypt when listing them', function (done) {
+                inject(function (locker, $rootScope) {
+                    locker.setCryptoKey('secret');
+
+                    settle($rootScope, locker.putEncrypted('foo', 'bar'), function () {
+                        locker.put('plain', 'text');
+
+                        expect( locker.all() ).toEqual({ plain: 'text' });
+                        expect( locker.get(/.*/) ).toEqual({ plain: 'text' });
+                        expect( locker.count() ).toEqual(2);
+
+                        locker.put('foo', 'baz');
+                        expect( locker.get('foo') ).toEqual('baz');
+                        done();
+                    });
+                });
+            });
+
+            it('should leave out items encrypted via SJCL with another key when listing them', inject(function (locker) {
+                locker.setCryptoKey('secret');
+                locker.put('foo', 'bar', true);
+                locker.put('plain', 'text');
+                locker.setCryptoKey('other');
+
+                expect( locker.all() ).toEqual({ plain: 'text' });
+                expect( locker.get(['foo', 'plain']) ).toEqual({ plain: 'text' });
+                expect( locker.count() ).toEqual(2);
+
+                locker.put('foo', 'baz');
+                expect( locker.get('foo') ).toEqual('baz');
+            }));
+
+            it('should read items encrypted via SJCL', function (done) {
+                inject(function (locker, $rootScope) {
+                    locker.setCryptoKey('secret');
+                    locker.put('foo', ['bar'], true);
+
+                    settle($rootScope, locker.getEncrypted('foo'), function (error, value) {
+                        expect( value ).toEqual(['bar']);
+
+                        settle($rootScope, locker.getEncrypted('missing', 'default'), function (error, value) {
+                            expect( value ).toEqual('default');
+                            done();
+                        });
+                    });
+                });
+            });
+
+        });
+
+        describe('misc', function () {
+
+            it('should get the currently set namespace', inject(function (locker) {
+                expect( locker.getNamespace() ).toEqual('locker');
+                expect( locker.namespace('foo').getNamespace() ).toEqual('foo');
+            }));
+
+            it('should get the currently set driver', inject(function ($window, locker) {
+                expect( locker.getDriver() ).toEqual($window.localStorage);
+                expect( locker.driver('session').getDriver() ).toEqual($window.sessionStorage);
+            }));
+        });
+
+    });
+
+    describe('lockerModel directive', function () {
+
+        beforeEach(module(function ($provide) {
+            $provide.value('$window', {
+                localStorage: storageMock(),
+                sessionStorage: storageMock(),
+                document: window.document
+            });
+        }));
+
+        var compile = function (html) {
+            var element;
+            inject(function ($compile, $rootScope) {
+                element = $compile(html)($rootScope.$new());
+                $rootScope.$digest();
+            });
+
+            return element;
+        };
+
+        it('should restore the model from locker when linked', inject(function (locker) {
+            locker.put('name', 'Bob');
+
+            var element = compile('<input ng-model="user.name" locker-model="name">');
+
+            expect( element.scope().user.name ).toEqual('Bob');
+            expect( element.val() ).toEqual('Bob');
+        }));
+
+        it('should fall back to the default when nothing is stored', inject(function (locker) {
+            var element = compile('<input ng-model="theme" locker-model="theme" locker-default="\'light\'">');
+
+            expect( element.scope().theme ).toEqual('light');
+            expect( locker.get('theme') ).toEqual('light');
+        }));
+
+        it('should store a value the model has before the first digest', inject(function ($compile, $rootScope, locker) {
+            var scope = $rootScope.$new();
+            scope.draft = { title: 'Untitled' };
+
+            $compile('<input ng-model="draft.title" locker-model="title">')(scope);
+            $rootScope.$digest();
+
+            expect( locker.get('title') ).toEqual('Untitled');
+        }));
+
+        it('should follow the default encryption unless told otherwise', function () {
+            module(function (lockerProvider) {
+                lockerProvider.setDefaultEncryption(true);
+            });
+
+            inject(function ($window, locker) {
+                locker.setCryptoKey('secret');
+
+                compile('<input ng-model="pin" locker-model="pin" locker-default="\'1234\'">');
+                compile('<input ng-model="name" locker-model="name" locker-default="\'Bob\'" locker-encrypted="false">');
+
+                expect( $window.localStorage.getItem('locker.pin') ).not.toContain('1234');
+                expect( $window.localStorage.getItem('locker.name') ).toEqual('"Bob"');
+            });
+        });
+
+        it('should persist the model when it changes', inject(function (locker) {
+            var element = compile('<input ng-model="name" locker-model="name" locker-driver="session" locker-namespace="profile">');
+            var scope = element.scope();
+
+            element.val('Jane').triggerHandler('input');
+            expect( locker.driver('session').namespace('profile').get('name') ).toEqual('Jane');
+
+            scope.name = 'Bob';
+            scope.$digest();
+            expect( locker.driver('session').namespace('profile').get('name') ).toEqual('Bob');
+
+            scope.name = undefined;
+            scope.$digest();
+            expect( locker.driver('session').namespace('profile').has('name') ).toBeFalsy();
+            expect( locker.has('name') ).toBeFalsy();
+        }));
+
+        it('should keep the stored value while the input is invalid', inject(function (locker) {
+            locker.put('email', 'bob@example.com');
+            locker.put('code', 'abc123');
+
+            var email = compile('<input type="email" ng-model="email" locker-model="email">');
+            var code = compile('<input ng-model="code" ng-minlength="4" required locker-model="code">');
+
+            email.val('bob@').triggerHandler('input');
+            code.val('ab').triggerHandler('input');
+
+            expect( email.scope().email ).not.toBeDefined();
+            expect( locker.get('email') ).toEqual('bob@example.com');
+            expect( locker.get('code') ).toEqual('abc123');
+
+            code.val('').triggerHandler('input');
+
+            expect( locker.has('code') ).toBeFalsy();
+        }));
+
+        it('should encrypt the value when asked to', inject(function ($window, locker) {
+            locker.setCryptoKey('secret');
+
+            var element = compile('<input ng-model="pin" locker-model="pin" locker-encrypted="true">');
+            element.val('1234').triggerHandler('input');
+
+            expect( $window.localStorage.getItem('locker.pin') ).not.toContain('1234');
+            expect( locker.get('pin') ).toEqual('1234');
+        }));
+
+        it('should stop persisting the model once destroyed', inject(function (locker) {
+            var element = compile('<input ng-model="name" locker-model="name">');
+            var scope = element.scope();
+
+            element.remove();
+            scope.name = 'Bob';
+            scope.$digest();
+
+            expect( locker.has('name') ).toBeFalsy();
+        }));
+
+    });
+
+    describe('lockerQueue', function () {
+
+        var listeners;
+
+        beforeEach(module(function ($provide, $httpProvider) {
+            listeners = {};
+            $provide.value('$window', {
+                localStorage: storageMock(),
+                sessionStorage: storageMock(),
+                addEventListener: function (name, listener) {
+                    listeners[name] = listener;
+                }
+            });
+            $httpProvider.interceptors.push('lockerQueueInterceptor');
+        }));
+
+        afterEach(inject(function ($httpBackend) {
+            $httpBackend.verifyNoOutstandingExpectation();
+            $httpBackend.verifyNoOutstandingRequest();
+        }));
+
+        it('should set the options via the provider', function () {
+            module(function (lockerQueueProvider) {
+                lockerQueueProvider.setOptions({ namespace: 'outbox', maxAttempts: 2 });
+
+                expect( lockerQueueProvider.getOptions().namespace ).toEqual('outbox');
+                expect( lockerQueueProvider.getOptions().maxAttempts ).toEqual(2);
+                expect( lockerQueueProvider.getOptions().backoff ).toEqual(1000);
+            });
+
+            inject(function ($window, lockerQueue) {
+                lockerQueue.push({ method: 'POST', url: '/notes' });
+
+                expect( $window.localStorage['outbox.requests'] ).toBeDefined();
+            });
+        });
+
+        it('should queue mutating requests that fail without a response', inject(function ($http, $httpBackend, $rootScope, lockerQueue) {
+            var spy = jasmine.createSpy('queued');
+            var rejected = jasmine.createSpy('rejected');
+            $rootScope.$on('locker.queue.queued', spy);
+
+            $httpBackend.expectPOST('/notes', { text: 'foo' }).respond(-1);
+            $httpBackend.expectGET('/notes').respond(-1);
+            $httpBackend.expectPUT('/notes/1').respond(422);
+            $httpBackend.expectDELETE('/notes/2').respond(-1);
+
+            $http.post('/notes', { text: 'foo' }, { headers: { 'X-Token': 'abc', authorization: 'Bearer secret' } }).catch(rejected);
+            $http.get('/notes').catch(angular.noop);
+            $http.put('/notes/1', { text: 'bar' }).catch(angular.noop);
+            $http.delete('/notes/2', { lockerQueue: false }).catch(angular.noop);
+            $httpBackend.flush();
+
+            var requests = lockerQueue.all();
+            expect( requests.length ).toEqual(1);
+            expect( requests[0].config.method ).toEqual('POST');
+            expect( requests[0].config.url ).toEqual('/notes');
+            expect( requests[0].config.data ).toEqual({ text: 'foo' });
+            expect( requests[0].config.headers['X-Token'] ).toEqual('abc');
+            expect( requests[0].config.headers.authorization ).not.toBeDefined();
+            expect( requests[0].attempts ).toEqual(0);
+            expect( rejected ).toHaveBeenCalled();
+            expect( spy.calls.argsFor(0)[1].request.id ).toEqual(requests[0].id);
+        }));
+
+        it('should not queue requests that were cancelled or timed out', inject(function ($http, $httpBackend, $q, $rootScope, $timeout, lockerQueue) {
+            var canceller = $q.defer();
+
+            $httpBackend.expectPOST('/notes').respond(200);
+            $httpBackend.expectPUT('/notes/1').respond(200);
+
+            $http.post('/notes', { text: 'foo' }, { timeout: canceller.promise }).catch(angular.noop);
+            $http.put('/notes/1', { text: 'bar' }, { timeout: 1000 }).catch(angular.noop);
+            canceller.resolve();
+            $rootScope.$digest();
+            $timeout.flush(1000);
+
+            expect( lockerQueue.count() ).toEqual(0);
+        }));
+
+        it('should leave out the headers it is told to', function () {
+            module(function (lockerQueueProvider) {
+                lockerQueueProvider.setOptions({ omitHeaders: ['X-Token'] });
+            });
+
+            inject(function ($window, lockerQueue) {
+                lockerQueue.push({ method: 'POST', url: '/notes', headers: { 'x-token': 'abc', Authorization: 'Bearer secret' } });
+
+                expect( lockerQueue.all()[0].config.headers ).toEqual({ Authorization: 'Bearer secret' });
+            });
+        });
+
+        it('should survive a reload', inject(function ($window, locker, lockerQueue) {
+            lockerQueue.push({ method: 'POST', url: '/notes', data: { text: 'foo' } });
+
+            expect( JSON.parse($window.localStorage['lockerQueue.requests'])[0].config.url ).toEqual('/notes');
+            expect( locker.instance('local', 'lockerQueue').get('requests').length ).toEqual(1);
+        }));
+
+        it('should replay the requests in order on demand', inject(function ($httpBackend, $rootScope, lockerQueue) {
+            var spy = jasmine.createSpy('replayed');
+            var result;
+            $rootScope.$on('locker.queue.replayed', spy);
+
+            lockerQueue.push({ method: 'POST', url: '/notes', data: { text: 'foo' } });
+            lockerQueue.push({ method: 'PUT', url: '/notes/1', data: { text: 'bar' } });
+
+            $httpBackend.expectPOST('/notes', { text: 'foo' }).respond(201);
+            $httpBackend.expectPUT('/notes/1', { text: 'bar' }).respond(200);
+
+            lockerQueue.replay().then(function (value) {
+                result = value;
+            });
+            $httpBackend.flush();
+
+            expect( result ).toEqual({ replayed: 2, dropped: 0, remaining: 0 });
+            expect( lockerQueue.count() ).toEqual(0);
+            expect( spy.calls.count() ).toEqual(2);
+            expect( spy.calls.argsFor(0)[1].status ).toEqual(201);
+            expect( spy.calls.argsFor(0)[1].namespace ).toEqual('lockerQueue');
+        }));
+
+        it('should replay the requests when the browser comes back online', inject(function ($httpBackend, lockerQueue) {
+            lockerQueue.push({ method: 'POST', url: '/notes' });
+
+            $httpBackend.expectPOST('/notes').respond(201);
+            listeners.online();
+            $httpBackend.flush();
+
+            expect( lockerQueue.count() ).toEqual(0);
+        }));
+
+        it('should stop at a failed request and retry it with a backoff', inject(function ($httpBackend, $rootScope, $timeout, lockerQueue) {
+            var spy = jasmine.createSpy('failed');
+            var result;
+            $rootScope.$on('locker.queue.failed', spy);
+
+            var now = Date.now();
+            spyOn(Date, 'now').and.returnValue(now);
+
+            lockerQueue.push({ method: 'POST', url: '/notes' });
+            lockerQueue.push({ method: 'POST', url: '/comments' });
+
+            $httpBackend.expectPOST('/notes').respond(503);
+            lockerQueue.replay().then(function (value) {
+                result = value;
+            });
+            $httpBackend.flush();
+
+            var request = lockerQueue.all()[0];
+            expect( result ).toEqual({ replayed: 0, dropped: 0, remaining: 2 });
+            expect( request.attempts ).toEqual(1);
+            expect( request.lastStatus ).toEqual(503);
+            expect( request.lastAttempt ).toEqual(now);
+            expect( request.nextAttempt ).toEqual(now + 1000);
+            expect( spy.calls.argsFor(0)[1].request.attempts ).toEqual(1);
+
+            $httpBackend.expectPOST('/notes').respond(503);
+            $timeout.flush(1000);
+            $httpBackend.flush();
+
+            expect( lockerQueue.all()[0].nextAttempt ).toEqual(now + 2000);
+
+            $httpBackend.expectPOST('/notes').respond(201);
+            $httpBackend.expectPOST('/comments').respond(201);
+            $timeout.flush(2000);
+            $httpBackend.flush();
+
+            expect( lockerQueue.count() ).toEqual(0);
+
+            // nothing left to retry
+            $timeout.flush();
+        }));
+
+        it('should drop requests that are rejected or keep failing', function () {
+            module(function (lockerQueueProvider) {
+                lockerQueueProvider.setOptions({ maxAttempts: 2 });
+            });
+
+            inject(function ($httpBackend, $rootScope, $timeout, lockerQueue) {
+                var spy = jasmine.createSpy('dropped');
+                var result;
+                $rootScope.$on('locker.queue.dropped', spy);
+
+                lockerQueue.push({ method: 'POST', url: '/invalid' });
+                lockerQueue.push({ method: 'POST', url: '/broken' });
+                lockerQueue.push({ method: 'POST', url: '/offline' });
+
+                $httpBackend.expectPOST('/invalid').respond(422);
+                $httpBackend.expectPOST('/broken').respond(500);
+                lockerQueue.replay();
+                $httpBackend.flush();
+
+                expect( spy.calls.count() ).toEqual(1);
+                expect( spy.calls.argsFor(0)[1].status ).toEqual(422);
+
+                $httpBackend.expectPOST('/broken').respond(500);
+                $httpBackend.expectPOST('/offline').respond(-1);
+                $timeout.flush();
+                $httpBackend.flush();
+
+                expect( spy.calls.count() ).toEqual(2);
+                expect( spy.calls.argsFor(1)[1].request.config.url ).toEqual('/broken');
+
+                $httpBackend.expectPOST('/offline').respond(-1);
+                $timeout.flush();
+                $httpBackend.flush();
+
+                $httpBackend.expectPOST('/offline').respond(-1);
+                lockerQueue.replay().then(function (value) {
+                    result = value;
+                });
+                $httpBackend.flush();
+
+                expect( result ).toEqual({ replayed: 0, dropped: 0, remaining: 1 });
+                expect( lockerQueue.all()[0].attempts ).toEqual(3);
+                expect( spy.calls.count() ).toEqual(2);
+            });
+        });
+
+        it('should share the replay in progress and remove requests', inject(function ($httpBackend, lockerQueue) {
+            var first = lockerQueue.push({ method: 'POST', url: '/notes' });
+            lockerQueue.push({ method: 'POST', url: '/comments' });
+
+            lockerQueue.forget(first.id);
+            expect( lockerQueue.all()[0].config.url ).toEqual('/comments');
+
+            $httpBackend.expectPOST('/comments').respond(201);
+            expect( lockerQueue.replay() ).toBe(lockerQueue.replay());
+            $httpBackend.flush();
+
+            lockerQueue.push({ method: 'POST', url: '/notes' });
+            lockerQueue.clean();
+            expect( lockerQueue.count() ).toEqual(0);
+        }));
+
     });
 });